@@ -1,10 +1,38 @@
 const canvas = document.getElementById("gameCanvas");
-const ctx = canvas.getContext("2d");
-let gridSize = 20;
-let gridDimensions = 40;
+// Drawing target, swapped for an export canvas or an SvgContext by drawTo
+let ctx = canvas.getContext("2d");
+// Visible window: logical point at the canvas centre and pixels per unit
+let viewport = { centerX: 0, centerY: 0, scaleX: 20, scaleY: 20 };
+let dragStart = null;
+let suppressClick = false;
+let keyPointCache = { key: null, points: [] };
+let keySearchCache = { key: null, xMin: 0, xMax: 0, points: [] };
+let integralCache = { key: null, integral: null };
+let feasibleCache = { key: null, rectangles: [] };
+let tableCache = { key: null, table: null };
+let viewCache = new WeakMap();
+let sessionCache = new WeakMap();
+let pinnedPoints = new Set();
 let mouseCoord = null;
-let currentExpression = "x";
-let currentFunction = null;
+let expressions = [];
+let nextExpressionId = 1;
+let analyzedExpressionId = null;
+let currentDerivatives = { first: null, second: null };
+let parameterControls = new Map();
+let animation = null;
+let analysisTimer = null;
+
+// Syntax error carrying the character span it refers to and a suggested fix
+class ExpressionError extends Error {
+    constructor(kind, message, start, end, suggestion = null) {
+        super(`Invalid expression: ${message}`);
+        this.name = "ExpressionError";
+        this.kind = kind;
+        this.start = start;
+        this.end = end;
+        this.suggestion = suggestion;
+    }
+}
 
 // Mathematical expression parser
 class ExpressionParser {
@@ -21,882 +49,9614 @@ class ExpressionParser {
             csc: (x) => 1 / Math.sin(x),
             sec: (x) => 1 / Math.cos(x),
             cot: (x) => 1 / Math.tan(x),
-            log: Math.log10,
+            arcsin: Math.asin,
+            arccos: Math.acos,
+            arctan: Math.atan,
+            arccsc: (x) => Math.asin(1 / x),
+            arcsec: (x) => Math.acos(1 / x),
+            arccot: (x) => Math.PI / 2 - Math.atan(x),
+            sinh: Math.sinh,
+            cosh: Math.cosh,
+            tanh: Math.tanh,
+            arcsinh: Math.asinh,
+            arccosh: Math.acosh,
+            arctanh: Math.atanh,
+            // log(x) is base 10; log(b, x), also written log_b(x), is base b
+            // for b > 0 other than 1
+            log: (b, x) => {
+                if (x === undefined) return Math.log10(b);
+                if (!(b > 0) || b === 1) return NaN;
+                return Math.log(x) / Math.log(b);
+            },
             ln: Math.log,
             sqrt: Math.sqrt,
+            cbrt: Math.cbrt,
+            nthroot: realRoot,
             abs: Math.abs,
+            sign: Math.sign,
             floor: Math.floor,
             ceil: Math.ceil,
             round: Math.round,
+            mod: (a, b) => a - b * Math.floor(a / b),
+            min: Math.min,
+            max: Math.max,
+            gcd,
+            lcm: (a, b) =>
+                a === 0 || b === 0 ? 0 : Math.abs(a * b) / gcd(a, b),
             exp: Math.exp,
+            gamma,
+            // Also written n!
+            factorial: (n) => gamma(n + 1),
+            digamma,
+            trigamma,
+        };
+
+        // Other names for built-in functions
+        this.aliases = {
+            asin: "arcsin",
+            acos: "arccos",
+            atan: "arctan",
+            acsc: "arccsc",
+            asec: "arcsec",
+            acot: "arccot",
+            asinh: "arcsinh",
+            acosh: "arccosh",
+            atanh: "arctanh",
+            arsinh: "arcsinh",
+            arcosh: "arccosh",
+            artanh: "arctanh",
+        };
+
+        // Numbers of arguments for the built-in functions that take a
+        // choice of them, as [fewest, most]
+        this.arities = {
+            log: [1, 2],
+            min: [2, Infinity],
+            max: [2, Infinity],
+        };
+
+        this.variables = ["x"];
+
+        // Coordinates of equations such as x^2 + y^2 = 25; neither is ever
+        // taken for a parameter
+        this.coordinates = ["x", "y"];
+
+        // User-defined functions such as f(x) = x^2 - 1, by name. Each is
+        // { variable, body, text, error } and is resolved alongside the
+        // built-in functions when parsing and evaluating
+        this.definitions = {};
+
+        // Values of free parameters: any other single letter, such as the
+        // a, b and k in a*sin(b*x) + k. New ones start at 1
+        this.parameters = {};
+
+        // Hints for characters people commonly paste in from other tools
+        this.characterHints = {
+            π: 'use "pi" for π',
+            "×": 'use "*" for multiplication',
+            "·": 'use "*" for multiplication',
+            "÷": 'use "/" for division',
+            "²": 'use "^2" for powers',
+            "³": 'use "^3" for powers',
+            "√": 'use "sqrt(...)" for square roots',
+            "[": 'use "(" and ")" for grouping',
+            "]": 'use "(" and ")" for grouping',
+            "=": 'plot just the right-hand side, e.g. "x^2" instead of "y = x^2", or define a function with "f(x) = x^2"',
         };
     }
 
-    // Tokenize the expression
+    // Tokenize the expression into numbers, identifiers, operators,
+    // parentheses and the braces, comparisons and colons of conditions
     tokenize(expression) {
         const tokens = [];
-        const regex = /(\d+\.?\d*)|([a-zA-Z]+)|([+\-*/^()])|(\s+)/g;
+        const regex =
+            /(\d+\.?\d*|\.\d+)|([a-zA-Z]+)|([+\-*/^!_])|([()])|(,)|(\s+)|([{}])|(<=|>=|<|>|≤|≥)|(:)|(.)/g;
         let match;
 
         while ((match = regex.exec(expression)) !== null) {
-            if (match[4]) continue; // Skip whitespace
-            tokens.push(match[0]);
+            if (match[6]) continue; // Skip whitespace
+            const start = match.index;
+            const end = start + match[0].length;
+
+            if (match[10]) {
+                throw new ExpressionError(
+                    "invalid-character",
+                    `Unexpected character "${match[10]}"`,
+                    start,
+                    end,
+                    this.characterHints[match[10]] || "remove this character"
+                );
+            }
+
+            let type = "comma";
+            let value = match[0];
+            if (match[1]) type = "number";
+            else if (match[2]) type = "identifier";
+            else if (match[3]) type = "operator";
+            else if (match[4]) type = "paren";
+            else if (match[7]) type = "brace";
+            else if (match[9]) type = "colon";
+            else if (match[8]) {
+                type = "comparison";
+                value = { "≤": "<=", "≥": ">=" }[value] || value;
+            }
+
+            tokens.push({ type, value, start, end });
         }
 
         return tokens;
     }
 
-    // Parse expression to create an evaluatable function
-    parse(expression) {
-        try {
-            if (!expression || expression.trim() === "") {
-                throw new Error("Expression cannot be empty");
-            }
-
-            console.log("Original expression:", expression);
-
-            // Replace common mathematical notation
-            expression = expression.toLowerCase();
-            expression = expression.replace(/\^/g, "**"); // Convert ^ to **
-
-            // Replace constants first
-            for (const [name, value] of Object.entries(this.constants)) {
-                const regex = new RegExp(`\\b${name}\\b`, "g");
-                expression = expression.replace(regex, value.toString());
-            }
-
-            // Replace functions with Math. equivalents
-            for (const [name, func] of Object.entries(this.functions)) {
-                const regex = new RegExp(`\\b${name}\\(`, "g");
-                if (name === "log") {
-                    expression = expression.replace(regex, "Math.log10(");
-                } else if (name === "ln") {
-                    expression = expression.replace(regex, "Math.log(");
-                } else if (name === "csc") {
-                    // We need to handle the full function call, not just the opening
-                    const fullRegex = new RegExp(`\\bcsc\\(([^)]+)\\)`, "g");
-                    expression = expression.replace(
-                        fullRegex,
-                        "(1/Math.sin($1))"
-                    );
-                } else if (name === "sec") {
-                    const fullRegex = new RegExp(`\\bsec\\(([^)]+)\\)`, "g");
-                    expression = expression.replace(
-                        fullRegex,
-                        "(1/Math.cos($1))"
-                    );
-                } else if (name === "cot") {
-                    const fullRegex = new RegExp(`\\bcot\\(([^)]+)\\)`, "g");
-                    expression = expression.replace(
-                        fullRegex,
-                        "(1/Math.tan($1))"
-                    );
-                } else {
-                    expression = expression.replace(regex, `Math.${name}(`);
-                }
-            }
+    // The expression with everything inside braces blanked out, so the
+    // comparisons of conditions are not taken for an equation or inequality
+    maskBraces(expression) {
+        let depth = 0;
+        return expression
+            .split("")
+            .map((char) => {
+                if (char === "{") depth++;
+                const masked = depth > 0 ? " " : char;
+                if (char === "}") depth = Math.max(depth - 1, 0);
+                return masked;
+            })
+            .join("");
+    }
 
-            // Add multiplication between number and variable/parenthesis
-            expression = expression.replace(/(\d)([a-z])/g, "$1*$2"); // Add multiplication between number and variable
-            expression = expression.replace(/\)([a-z])/g, ")*$1"); // Add multiplication between ) and variable
-            expression = expression.replace(/(\d)\(/g, "$1*("); // Add multiplication between number and (
-            expression = expression.replace(/\)(\d)/g, ")*$1"); // Add multiplication between ) and number
+    // Build an abstract syntax tree from the expression
+    parseTree(expression, variables = this.variables) {
+        if (!expression || expression.trim() === "") {
+            throw new Error("Expression cannot be empty");
+        }
 
-            // Only add multiplication for single variables before parenthesis (not function names)
-            expression = expression.replace(/\b([a-z])\(/g, "$1*("); // Add multiplication between single variable and (
+        const tokens = this.tokenize(expression.toLowerCase());
+        const state = { tokens, pos: 0, variables };
+        const ast = this.parseRestricted(state);
 
-            console.log("Final expression:", expression);
+        if (state.pos < tokens.length) {
+            this.unexpectedToken(state, tokens[state.pos]);
+        }
 
-            // Validate parentheses
-            let openParens = 0;
-            for (let char of expression) {
-                if (char === "(") openParens++;
-                if (char === ")") openParens--;
-                if (openParens < 0) throw new Error("Mismatched parentheses");
-            }
-            if (openParens !== 0) throw new Error("Mismatched parentheses");
+        return ast;
+    }
 
-            // Create a function that evaluates the expression for a given x
-            const func = new Function(
-                "x",
-                `
-                try {
-                    const result = ${expression};
-                    return result;
-                } catch (e) {
-                    return NaN;
-                }
-            `
+    peek(state) {
+        return state.tokens[state.pos] || null;
+    }
+
+    // Report a token that cannot continue the expression parsed so far
+    unexpectedToken(state, token) {
+        const previous = state.tokens[state.pos - 1];
+
+        if (token.value === ")") {
+            throw new ExpressionError(
+                "unbalanced-paren",
+                'Unmatched ")"',
+                token.start,
+                token.end,
+                'remove it or add a matching "(" before it'
+            );
+        }
+        if (token.type === "comma") {
+            throw new ExpressionError(
+                "unexpected-token",
+                'Unexpected ","',
+                token.start,
+                token.end,
+                "commas can only separate function arguments and pieces"
+            );
+        }
+        if (token.value === "}") {
+            throw new ExpressionError(
+                "unbalanced-paren",
+                'Unmatched "}"',
+                token.start,
+                token.end,
+                'remove it or add a matching "{" before it'
+            );
+        }
+        if (token.type === "comparison" || token.type === "colon") {
+            throw new ExpressionError(
+                "unexpected-token",
+                `Unexpected "${token.value}"`,
+                token.start,
+                token.end,
+                'conditions go in braces, e.g. "{x < 0: -x, x >= 0: x^2}" or "sin(x) {0 <= x <= 2*pi}"'
+            );
+        }
+        if (previous && token.type === "number") {
+            throw new ExpressionError(
+                "missing-operator",
+                `Missing operator between "${previous.value}" and "${token.value}"`,
+                previous.start,
+                token.end,
+                `insert "*" or "+" between them`
+            );
+        }
+        if (token.value === "_") {
+            throw new ExpressionError(
+                "unexpected-token",
+                'Unexpected "_"',
+                token.start,
+                token.end,
+                'only log_b(x) uses "_", for the base b as in log_2(x)'
             );
+        }
+        throw new ExpressionError(
+            "unexpected-token",
+            `Unexpected "${token.value}"`,
+            token.start,
+            token.end
+        );
+    }
 
-            // Test the function with multiple sample values
-            const testValues = [0, 1, -1, 0.5, 2];
-            let hasValidResult = false;
+    // Report an operand that is missing at the current position
+    missingOperand(state) {
+        const token = this.peek(state);
+        const previous = state.tokens[state.pos - 1];
 
-            for (const testX of testValues) {
-                try {
-                    const testResult = func(testX);
-                    if (
-                        typeof testResult === "number" &&
-                        isFinite(testResult)
-                    ) {
-                        hasValidResult = true;
-                        break;
-                    }
-                } catch (e) {
-                    // Continue testing other values
-                }
-            }
+        if (
+            previous &&
+            previous.value === "(" &&
+            token &&
+            token.value === ")"
+        ) {
+            throw new ExpressionError(
+                "missing-operand",
+                "Empty parentheses",
+                previous.start,
+                token.end,
+                "put an expression between the parentheses"
+            );
+        }
+        if (
+            previous &&
+            previous.value === "{" &&
+            token &&
+            token.value === "}"
+        ) {
+            throw new ExpressionError(
+                "missing-operand",
+                "Empty braces",
+                previous.start,
+                token.end,
+                'put pieces such as "x < 0: -x" or a condition such as "x > 0" between the braces'
+            );
+        }
+        if (
+            previous &&
+            ["operator", "comma", "comparison", "colon"].includes(previous.type)
+        ) {
+            throw new ExpressionError(
+                "missing-operand",
+                `Missing operand after "${previous.value}"`,
+                previous.start,
+                previous.end,
+                `add a value after "${previous.value}"`
+            );
+        }
+        if (token && (token.value === ")" || token.value === "_")) {
+            this.unexpectedToken(state, token);
+        }
+        if (token) {
+            throw new ExpressionError(
+                "missing-operand",
+                `Missing operand before "${token.value}"`,
+                token.start,
+                token.end,
+                `add a value before "${token.value}"`
+            );
+        }
+        const end = previous ? previous.end : 0;
+        throw new ExpressionError(
+            "missing-operand",
+            "Unexpected end of expression",
+            end,
+            end
+        );
+    }
 
-            if (!hasValidResult) {
-                throw new Error(
-                    "Expression does not produce valid numeric results"
+    // restricted := additive ("{" condition "}")*, e.g. sin(x) {0 <= x <= 2*pi},
+    // which is undefined wherever a condition fails
+    parseRestricted(state) {
+        let node = this.parseAdditive(state);
+
+        while (this.peek(state) && this.peek(state).value === "{") {
+            const open = state.tokens[state.pos++];
+            const condition = this.parseCondition(state);
+            const close = this.closeBrace(state, open);
+            node = {
+                type: "piecewise",
+                pieces: [{ condition, value: node }],
+                start: node.start,
+                end: close.end,
+            };
+        }
+
+        return node;
+    }
+
+    // piecewise := "{" condition ":" restricted ("," condition ":" restricted)*
+    //              ("," restricted)? "}"
+    // The first piece whose condition holds gives the value; a last piece
+    // without a condition covers everything else
+    parsePiecewise(state) {
+        const open = state.tokens[state.pos++];
+        const pieces = [];
+
+        for (;;) {
+            const first = this.parseAdditive(state);
+            const next = this.peek(state);
+
+            if (next && next.type === "comparison") {
+                const condition = this.parseCondition(state, first);
+                const colon = this.peek(state);
+                if (!colon || colon.type !== "colon") {
+                    throw new ExpressionError(
+                        "missing-operand",
+                        "Missing the value for this condition",
+                        condition.start,
+                        condition.end,
+                        'add ": value" after it, e.g. "{x < 0: -x}"'
+                    );
+                }
+                state.pos++;
+                pieces.push({ condition, value: this.parseRestricted(state) });
+            } else if (next && next.type === "colon") {
+                throw new ExpressionError(
+                    "missing-operand",
+                    "A piece needs a condition before its value",
+                    first.start,
+                    next.end,
+                    'compare with "<", ">", "<=" or ">=", e.g. "x < 0: -x"'
                 );
+            } else {
+                pieces.push({ condition: null, value: first });
             }
 
-            return func;
-        } catch (error) {
-            if (error.message.includes("Invalid expression")) {
-                throw error;
+            const separator = this.peek(state);
+            if (!separator || separator.type !== "comma") break;
+            if (!pieces.at(-1).condition) {
+                throw new ExpressionError(
+                    "unexpected-token",
+                    "Only the last piece can go without a condition",
+                    first.start,
+                    first.end,
+                    'give it a condition, e.g. "x >= 0: x^2"'
+                );
             }
-            throw new Error(`Invalid expression: ${error.message}`);
+            state.pos++;
         }
-    }
 
-    // Evaluate expression at a given x value
-    evaluate(func, x) {
-        try {
-            const result = func(x);
-            if (typeof result !== "number") {
-                return NaN;
-            }
-            return result;
-        } catch (error) {
-            return NaN;
-        }
+        const close = this.closeBrace(state, open);
+        return { type: "piecewise", pieces, start: open.start, end: close.end };
     }
-}
 
-// Function analyzer for mathematical properties
-class FunctionAnalyzer {
-    constructor(parser) {
-        this.parser = parser;
-    }
+    // condition := additive (comparison additive)+, e.g. 0 <= x < 2*pi
+    parseCondition(state, first = this.parseAdditive(state)) {
+        const args = [first];
+        const operators = [];
 
-    analyzeFunction(func, expression) {
-        const analysis = {
-            isFunction: true,
-            isOdd: null,
-            isEven: null,
-            isOneToOne: null,
-            domain: null,
-            range: null,
-            properties: [],
-        };
+        while (this.peek(state) && this.peek(state).type === "comparison") {
+            operators.push(state.tokens[state.pos++].value);
+            args.push(this.parseAdditive(state));
+        }
+        if (operators.length === 0) {
+            throw new ExpressionError(
+                "missing-operand",
+                "Expected a condition",
+                first.start,
+                first.end,
+                'compare with "<", ">", "<=" or ">=", e.g. "x >= 0"'
+            );
+        }
 
-        try {
-            // Test if it's a function (passes vertical line test)
-            analysis.isFunction = this.isFunction(func);
+        return {
+            type: "condition",
+            operators,
+            args,
+            start: first.start,
+            end: args.at(-1).end,
+        };
+    }
 
-            if (analysis.isFunction) {
-                // Test for odd/even properties
-                const symmetry = this.checkSymmetry(func);
-                analysis.isOdd = symmetry.isOdd;
-                analysis.isEven = symmetry.isEven;
+    closeBrace(state, open) {
+        const close = this.peek(state);
+        if (close && close.value === "}") {
+            state.pos++;
+            return close;
+        }
+        if (close) this.unexpectedToken(state, close);
+        throw new ExpressionError(
+            "unbalanced-paren",
+            'Unclosed "{"',
+            open.start,
+            open.end,
+            'add a closing "}"'
+        );
+    }
 
-                // Test for one-to-one (injective)
-                analysis.isOneToOne = this.isOneToOne(func);
+    // additive := multiplicative (("+" | "-") multiplicative)*
+    parseAdditive(state) {
+        let node = this.parseMultiplicative(state);
+        let token = this.peek(state);
+
+        while (token && (token.value === "+" || token.value === "-")) {
+            state.pos++;
+            const right = this.parseMultiplicative(state);
+            node = {
+                type: "binary",
+                op: token.value,
+                left: node,
+                right,
+                start: node.start,
+                end: right.end,
+            };
+            token = this.peek(state);
+        }
 
-                // Analyze domain and range
-                const domainRange = this.analyzeDomainRange(func, expression);
-                analysis.domain = domainRange.domain;
-                analysis.range = domainRange.range;
+        return node;
+    }
 
-                // Build properties array
-                if (analysis.isEven) analysis.properties.push("Even");
-                if (analysis.isOdd) analysis.properties.push("Odd");
-                if (analysis.isOneToOne) analysis.properties.push("One-to-One");
-                if (!analysis.isEven && !analysis.isOdd)
-                    analysis.properties.push("Neither Even nor Odd");
+    // multiplicative := unary (("*" | "/") unary | implicit power)*
+    parseMultiplicative(state) {
+        let node = this.parseUnary(state);
+        let token = this.peek(state);
+
+        while (token) {
+            let op;
+            let right;
+
+            if (token.value === "*" || token.value === "/") {
+                state.pos++;
+                op = token.value;
+                right = this.parseUnary(state);
+            } else if (this.startsImplicitFactor(state)) {
+                // Implicit multiplication such as 2x, 3(x + 1) or (x)(x)
+                op = "*";
+                right = this.parsePower(state);
+            } else {
+                break;
             }
-        } catch (error) {
-            console.error("Analysis error:", error);
+
+            node = {
+                type: "binary",
+                op,
+                left: node,
+                right,
+                start: node.start,
+                end: right.end,
+            };
+            token = this.peek(state);
         }
 
-        return analysis;
+        return node;
     }
 
-    isFunction(func) {
-        // A relation is a function if each x-value maps to exactly one y-value
-        // For our purposes, if the function evaluates without multiple values, it's a function
-        // This is a simplified check since we're dealing with single-valued functions
-        const testPoints = [-5, -2, 0, 1, 3, 5];
+    startsImplicitFactor(state) {
+        const token = this.peek(state);
+        const previous = state.tokens[state.pos - 1];
+        if (!token || !previous) return false;
 
-        for (const x of testPoints) {
-            try {
-                const y = this.parser.evaluate(func, x);
-                if (typeof y !== "number") {
-                    return false;
-                }
-            } catch (error) {
-                // If evaluation fails, we can't determine - assume it's still a function
-                continue;
-            }
-        }
-        return true;
+        if (token.type === "identifier" || token.value === "(") return true;
+        // Allow "(x + 1)2" but not "2 3"
+        return token.type === "number" && previous.value === ")";
     }
 
-    checkSymmetry(func) {
-        const testPoints = [-3, -2, -1, -0.5, 0.5, 1, 2, 3];
-        let oddCount = 0;
-        let evenCount = 0;
-        let totalTests = 0;
-        const tolerance = 1e-10;
+    // unary := ("-" | "+") unary | power
+    parseUnary(state) {
+        const token = this.peek(state);
+
+        if (token && (token.value === "-" || token.value === "+")) {
+            state.pos++;
+            const argument = this.parseUnary(state);
+            if (token.value === "+") return argument;
+            return {
+                type: "unary",
+                op: "-",
+                argument,
+                start: token.start,
+                end: argument.end,
+            };
+        }
 
-        for (const x of testPoints) {
-            if (x === 0) continue; // Skip x=0 for symmetry tests
+        return this.parsePower(state);
+    }
 
-            try {
-                const fx = this.parser.evaluate(func, x);
-                const fNegX = this.parser.evaluate(func, -x);
+    // power := primary "!"* ("^" unary)?, right-associative so
+    // 2^3^2 = 2^(3^2). Factorials bind tightest: x!^2 = (x!)^2
+    parsePower(state) {
+        let base = this.parsePrimary(state);
+        while (this.peek(state) && this.peek(state).value === "!") {
+            const bang = state.tokens[state.pos++];
+            base = {
+                type: "call",
+                name: "factorial",
+                args: [base],
+                start: base.start,
+                end: bang.end,
+            };
+        }
+        const token = this.peek(state);
+
+        if (token && token.value === "^") {
+            state.pos++;
+            const exponent = this.parseUnary(state);
+            return {
+                type: "binary",
+                op: "^",
+                left: base,
+                right: exponent,
+                start: base.start,
+                end: exponent.end,
+            };
+        }
 
-                if (
-                    isNaN(fx) ||
-                    isNaN(fNegX) ||
-                    !isFinite(fx) ||
-                    !isFinite(fNegX)
-                ) {
-                    continue;
-                }
+        return base;
+    }
 
-                totalTests++;
+    // primary := number | constant | variable | call | piecewise
+    //            | "(" restricted ")"
+    parsePrimary(state) {
+        const token = this.peek(state);
 
-                // Check if f(-x) = f(x) (even function)
-                if (Math.abs(fNegX - fx) < tolerance) {
-                    evenCount++;
-                }
+        if (!token || token.type === "operator" || token.type === "comma") {
+            this.missingOperand(state);
+        }
 
-                // Check if f(-x) = -f(x) (odd function)
-                if (Math.abs(fNegX - -fx) < tolerance) {
-                    oddCount++;
-                }
-            } catch (error) {
-                continue;
-            }
+        if (token.value === "{") {
+            return this.parsePiecewise(state);
         }
 
-        const threshold = 0.8; // 80% of tests must pass
-        return {
-            isEven: totalTests > 0 && evenCount / totalTests >= threshold,
-            isOdd: totalTests > 0 && oddCount / totalTests >= threshold,
-        };
-    }
+        if (token.type === "number") {
+            state.pos++;
+            return {
+                type: "number",
+                value: parseFloat(token.value),
+                start: token.start,
+                end: token.end,
+            };
+        }
 
-    isOneToOne(func) {
-        // Test if function is one-to-one (injective) by checking if different x values give different y values
-        const testPoints = [];
-        for (let i = -5; i <= 5; i += 0.5) {
-            testPoints.push(i);
+        if (token.value === "(") {
+            state.pos++;
+            const inner = this.parseRestricted(state);
+            const close = this.peek(state);
+            if (!close || close.value !== ")") {
+                this.unclosedParen(state, token);
+            }
+            state.pos++;
+            return { ...inner, start: token.start, end: close.end };
         }
 
-        const yValues = [];
-        const tolerance = 1e-8;
+        if (token.type === "identifier") {
+            return this.parseIdentifier(state);
+        }
 
-        for (const x of testPoints) {
-            try {
-                const y = this.parser.evaluate(func, x);
-                if (isNaN(y) || !isFinite(y)) continue;
+        this.missingOperand(state);
+    }
 
-                // Check if this y-value is approximately equal to any previous y-value
-                for (const prevY of yValues) {
-                    if (Math.abs(y - prevY) < tolerance) {
-                        return false; // Found duplicate y-value, not one-to-one
-                    }
-                }
-                yValues.push(y);
-            } catch (error) {
-                continue;
-            }
+    // A "(" was never closed; point at it unless something else follows
+    unclosedParen(state, open) {
+        const token = this.peek(state);
+        if (token) {
+            this.unexpectedToken(state, token);
         }
+        throw new ExpressionError(
+            "unbalanced-paren",
+            'Unclosed "("',
+            open.start,
+            open.end,
+            'add a closing ")"'
+        );
+    }
 
-        return yValues.length > 5; // Need sufficient data points to make determination
+    // Fewest and most arguments a function takes, as [fewest, most]
+    functionArity(name) {
+        if (Object.hasOwn(this.definitions, name)) return [1, 1];
+        if (Object.hasOwn(this.arities, name)) return this.arities[name];
+        return [this.functions[name].length, this.functions[name].length];
     }
 
-    analyzeDomainRange(func, expression) {
-        const domain = this.analyzeDomain(func, expression);
-        const range = this.analyzeRange(func);
-        return { domain, range };
+    // "1 argument", "1 or 2 arguments" or "at least 2 arguments"
+    describeArity([fewest, most]) {
+        const plural = most === 1 ? "argument" : "arguments";
+        if (fewest === most) return `${fewest} ${plural}`;
+        if (most === Infinity) return `at least ${fewest} ${plural}`;
+        return `${fewest} or ${most} ${plural}`;
     }
 
-    analyzeDomain(func, expression) {
-        // Common domain restrictions based on expression pattern
-        const expr = expression.toLowerCase();
+    parseIdentifier(state) {
+        const token = state.tokens[state.pos++];
+        const name = token.value;
+        const known = Object.hasOwn(this.aliases, name)
+            ? this.aliases[name]
+            : name;
 
-        // Check for square roots
-        if (expr.includes("sqrt(")) {
-            // For sqrt functions, domain is where argument >= 0
-            if (expr.match(/sqrt\(x\)/)) {
-                return "x ≥ 0";
-            } else if (expr.match(/sqrt\([^)]*x[^)]*\)/)) {
-                return "Expression under √ must be ≥ 0";
+        if (
+            Object.hasOwn(this.functions, known) ||
+            Object.hasOwn(this.definitions, known)
+        ) {
+            // log_b(x) is log(b, x)
+            let base = null;
+            const next = this.peek(state);
+            if (known === "log" && next && next.value === "_") {
+                state.pos++;
+                base = this.parsePrimary(state);
+            }
+
+            const open = this.peek(state);
+            if (!open || open.value !== "(") {
+                throw new ExpressionError(
+                    "arity",
+                    `Function "${name}" needs its argument in parentheses`,
+                    token.start,
+                    open ? open.end : token.end,
+                    `write ${name}(x)`
+                );
+            }
+            state.pos++;
+
+            const args = [];
+            if (!this.peek(state) || this.peek(state).value !== ")") {
+                args.push(this.parseRestricted(state));
+                while (this.peek(state) && this.peek(state).type === "comma") {
+                    state.pos++;
+                    args.push(this.parseRestricted(state));
+                }
             }
-        }
 
-        // Check for logarithms
-        if (expr.includes("log(") || expr.includes("ln(")) {
-            if (expr.match(/log\(x\)|ln\(x\)/)) {
-                return "x > 0";
-            } else if (expr.match(/log\([^)]*x[^)]*\)|ln\([^)]*x[^)]*\)/)) {
-                return "Expression inside log must be > 0";
+            const close = this.peek(state);
+            if (!close || close.value !== ")") {
+                this.unclosedParen(state, open);
+            }
+            state.pos++;
+
+            const arity = base ? [1, 1] : this.functionArity(known);
+            if (args.length < arity[0] || args.length > arity[1]) {
+                throw new ExpressionError(
+                    "arity",
+                    `"${name}" expects ${this.describeArity(arity)} but got ${
+                        args.length
+                    }`,
+                    token.start,
+                    close.end,
+                    arity[1] === 1 ? `write ${name}(x)` : null
+                );
             }
-        }
 
-        // Check for denominators that could be zero
-        if (expr.includes("/x") || expr.includes("1/x")) {
-            return "x ≠ 0";
+            return {
+                type: "call",
+                name: known,
+                args: base ? [base, ...args] : args,
+                start: token.start,
+                end: close.end,
+            };
         }
 
-        // Check for trigonometric functions with restrictions
-        if (expr.includes("tan(x)") || expr.includes("cot(x)")) {
-            return "x ≠ π/2 + nπ, where n is any integer";
+        if (state.variables.includes(name)) {
+            return {
+                type: "variable",
+                name,
+                start: token.start,
+                end: token.end,
+            };
         }
-        if (expr.includes("sec(x)")) {
-            return "x ≠ π/2 + nπ, where n is any integer";
+
+        if (Object.hasOwn(this.constants, name)) {
+            return {
+                type: "constant",
+                name,
+                start: token.start,
+                end: token.end,
+            };
         }
-        if (expr.includes("csc(x)")) {
-            return "x ≠ nπ, where n is any integer";
+
+        // Split run-together names such as "pix" or "xsin" into known pieces
+        const pieces = this.splitIdentifier(name, state.variables);
+        if (pieces) {
+            let offset = token.start;
+            const split = pieces.map((piece) => {
+                const start = offset;
+                offset += piece.length;
+                return { type: "identifier", value: piece, start, end: offset };
+            });
+            state.tokens.splice(state.pos - 1, 1, ...split);
+            state.pos--;
+            return this.parseIdentifier(state);
         }
 
-        // Test for general restrictions by sampling
-        const restrictions = [];
-        const testRange = [-20, 20];
-        const step = 0.1;
+        if (/^[a-zA-Z]$/.test(name) && !this.coordinates.includes(name)) {
+            if (!(name in this.parameters)) this.parameters[name] = 1;
+            return {
+                type: "parameter",
+                name,
+                start: token.start,
+                end: token.end,
+            };
+        }
 
-        for (let x = testRange[0]; x <= testRange[1]; x += step) {
-            const y = this.parser.evaluate(func, x);
-            if (!isFinite(y)) {
-                // Found a restriction point
-                const rounded = Math.round(x * 10) / 10;
-                if (!restrictions.some((r) => Math.abs(r - rounded) < 0.05)) {
-                    restrictions.push(rounded);
-                }
-            }
+        const isCall = this.peek(state) && this.peek(state).value === "(";
+        const closest = this.closestName(name, isCall, state.variables);
+        let suggestion = closest ? `did you mean "${closest}"?` : null;
+        if (this.coordinates.includes(name)) {
+            // Parametric curves give x and y in terms of t instead
+            suggestion = state.variables.includes("x")
+                ? `use ${name} in an equation, e.g. "x^2 + y^2 = 25"`
+                : `write ${name} in terms of ${state.variables.join(", ")}`;
+        }
+        if (name === "theta") {
+            suggestion = "switch the row to r(θ) for a polar curve";
         }
+        if (!suggestion && !isCall && /^[a-zA-Z]{2,3}$/.test(name)) {
+            // Parameters are single letters, so "ax" is not a*x
+            suggestion = `write "${name.split("").join("*")}" for a product`;
+        }
+        throw new ExpressionError(
+            "unknown-identifier",
+            `Unknown ${isCall ? "function" : "identifier"} "${name}"`,
+            token.start,
+            token.end,
+            suggestion
+        );
+    }
 
-        if (restrictions.length > 0) {
-            if (restrictions.length <= 5) {
-                return `x ≠ ${restrictions.join(", ")}`;
-            } else {
-                return "Multiple restrictions (see graph for asymptotes)";
+    // Find the known name within a small edit distance of a misspelling
+    closestName(name, isCall, variables = this.variables) {
+        const candidates = isCall
+            ? [
+                  ...Object.keys(this.functions),
+                  ...Object.keys(this.aliases),
+                  ...Object.keys(this.definitions),
+              ]
+            : [
+                  ...Object.keys(this.functions),
+                  ...Object.keys(this.aliases),
+                  ...Object.keys(this.constants),
+                  ...variables,
+              ];
+
+        let best = null;
+        let bestDistance = Math.min(2, name.length - 1);
+        for (const candidate of candidates) {
+            const distance = editDistance(name, candidate);
+            if (distance <= bestDistance) {
+                best = candidate;
+                bestDistance = distance;
             }
         }
 
-        return "All real numbers (ℝ)";
+        return best;
     }
 
-    analyzeRange(func) {
-        // Sample the function over a reasonable range to get local behavior
-        const testRange = [-50, 50];
-        const step = 0.1;
-        let minY = Infinity;
-        let maxY = -Infinity;
-        let hasInfiniteValues = false;
-        let hasNegativeInfinite = false;
-        let hasPositiveInfinite = false;
-        let validPoints = 0;
+    // Greedily split a name into known variables, constants and functions
+    splitIdentifier(name, variables = this.variables) {
+        const known = [
+            ...Object.keys(this.functions),
+            ...Object.keys(this.aliases),
+            ...Object.keys(this.constants),
+            ...variables,
+        ].sort((a, b) => b.length - a.length);
+
+        const pieces = [];
+        let rest = name;
+        while (rest.length > 0) {
+            const piece = known.find((candidate) => rest.startsWith(candidate));
+            if (!piece) return null;
+            pieces.push(piece);
+            rest = rest.slice(piece.length);
+        }
 
-        for (let x = testRange[0]; x <= testRange[1]; x += step) {
-            const y = this.parser.evaluate(func, x);
+        return pieces.length > 1 ? pieces : null;
+    }
 
-            if (!isFinite(y)) {
-                hasInfiniteValues = true;
-                if (y === Infinity) hasPositiveInfinite = true;
-                if (y === -Infinity) hasNegativeInfinite = true;
-                continue;
+    // Parse expression to create an evaluatable function of one variable,
+    // x unless given (parametric curves use t). Aliases are other names for
+    // the same variable, such as t for theta
+    parse(expression, variable = "x", aliases = []) {
+        try {
+            let ast = this.parseTree(expression, [variable, ...aliases]);
+            for (const alias of aliases) {
+                ast = substitute(ast, alias, {
+                    type: "variable",
+                    name: variable,
+                });
             }
+            this.checkCalls(ast);
+            const func = this.compile(ast, variable);
+
+            // Test the function with multiple sample values, including
+            // around and between the bounds of any restriction, then across
+            // a wide grid for one defined away from 0, like sqrt(x - pi)
+            const bounds = this.comparedConstants(this.inline(ast), variable);
+            const testValues = [
+                0,
+                1,
+                -1,
+                0.5,
+                2,
+                ...bounds,
+                ...bounds.slice(1).map((b, i) => (bounds[i] + b) / 2),
+                ...bounds.flatMap((b) => [b - 1, b + 1]),
+            ];
+            for (let x = -10; x <= 10; x += 0.25) testValues.push(x);
+            for (let scale = 10; scale <= 1e6; scale *= 10) {
+                for (let k = 1; k < 10; k++) {
+                    testValues.push(k * scale, -k * scale);
+                }
+            }
+            let hasValidResult = false;
 
-            validPoints++;
-            if (y < minY) minY = y;
-            if (y > maxY) maxY = y;
-        }
-
-        // Handle infinite values
-        if (hasInfiniteValues) {
-            if (hasPositiveInfinite && hasNegativeInfinite) {
-                return "All real numbers (ℝ)";
-            } else if (hasPositiveInfinite) {
-                return "y → +∞";
-            } else if (hasNegativeInfinite) {
-                return "y → -∞";
+            for (const testX of testValues) {
+                const testResult = this.evaluate(func, testX);
+                if (isFinite(testResult)) {
+                    hasValidResult = true;
+                    break;
+                }
             }
-        }
 
-        if (!isFinite(minY) || !isFinite(maxY) || validPoints < 10) {
-            return "Cannot determine range";
-        }
+            if (!hasValidResult) {
+                throw new Error(
+                    "Expression does not produce valid numeric results"
+                );
+            }
 
-        // Test for quadratic and higher-degree polynomial behavior FIRST
-        const testPoints = [-100, -10, 0, 10, 100];
-        const testValues = testPoints.map((x) => this.parser.evaluate(func, x));
+            return func;
+        } catch (error) {
+            if (
+                error instanceof ExpressionError ||
+                error.message.includes("Invalid expression")
+            ) {
+                throw error;
+            }
+            throw new Error(`Invalid expression: ${error.message}`);
+        }
+    }
 
-        // Check if all test values are finite
-        if (testValues.every((y) => isFinite(y))) {
-            // Check for parabolic behavior (quadratic-like)
-            const y_neg100 = testValues[0],
-                y_neg10 = testValues[1],
-                y_0 = testValues[2],
-                y_10 = testValues[3],
-                y_100 = testValues[4];
+    // Replace the session's user-defined functions with the definitions
+    // among texts, such as "f(x) = x^2 - 1". Returns, for each text, null
+    // when it is not a definition and { name, error } when it is
+    define(texts) {
+        this.definitions = {};
+
+        // Register every name first so definitions can use each other in
+        // any order
+        const bodies = [];
+        const results = texts.map((text) => {
+            const match = /^\s*([a-z][a-z0-9]*)\s*\(\s*([a-z])\s*\)\s*=/.exec(
+                text.toLowerCase()
+            );
+            if (!match) return null;
 
-            // If function has a minimum near 0 and grows large at extremes, it's likely y ≥ minimum
+            // Equations such as sin(x) = 0.5 or y(x + 1) = 2 are not definitions
+            const [header, name, variable] = match;
             if (
-                y_neg100 > 100 &&
-                y_100 > 100 &&
-                y_0 <= Math.min(y_neg100, y_100)
+                Object.hasOwn(this.functions, name) ||
+                Object.hasOwn(this.aliases, name) ||
+                Object.hasOwn(this.constants, name) ||
+                this.coordinates.includes(name)
             ) {
-                if (minY >= -0.1 && minY <= 0.1) {
-                    return "y ≥ 0";
-                } else {
-                    return `y ≥ ${minY.toFixed(2)}`;
+                return null;
+            }
+
+            const start = text.search(/\S/);
+            const result = { name, error: null };
+            // Names in expressions are read as runs of letters, so f2(3)
+            // could never call f2
+            if (/[0-9]/.test(name)) {
+                result.error = new ExpressionError(
+                    "invalid-name",
+                    `Function names must be letters only, not "${name}"`,
+                    start,
+                    start + name.length,
+                    "rename it with letters only, as in g(x) = …"
+                );
+            } else if (Object.hasOwn(this.definitions, name)) {
+                result.error = new ExpressionError(
+                    "redefinition",
+                    `"${name}" is already defined`,
+                    start,
+                    start + name.length,
+                    "remove one of the definitions or rename this one"
+                );
+            } else if (Object.hasOwn(this.constants, variable)) {
+                const at = header.lastIndexOf(variable);
+                result.error = new ExpressionError(
+                    "redefinition",
+                    `"${variable}" is a constant and cannot be the variable`,
+                    at,
+                    at + 1,
+                    `write ${name}(x)`
+                );
+            } else {
+                this.definitions[name] = {
+                    variable,
+                    body: null,
+                    text,
+                    error: null,
+                };
+                // Blank out the header so error spans match the full text
+                bodies.push([
+                    name,
+                    " ".repeat(header.length) + text.slice(header.length),
+                ]);
+            }
+            return result;
+        });
+
+        for (const [name, body] of bodies) {
+            const definition = this.definitions[name];
+            try {
+                definition.body = this.parseTree(body, [definition.variable]);
+            } catch (error) {
+                definition.error = error;
+            }
+        }
+
+        this.findCycles();
+
+        // Anything that calls a broken definition is broken too
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const definition of Object.values(this.definitions)) {
+                if (definition.error) continue;
+                try {
+                    this.checkCalls(definition.body);
+                } catch (error) {
+                    definition.error = error;
+                    changed = true;
                 }
             }
+        }
+
+        for (const result of results) {
+            if (!result || result.error) continue;
+            const definition = this.definitions[result.name];
+            if (definition.error) {
+                result.error = definition.error;
+                definition.body = null;
+            }
+        }
+        return results;
+    }
 
-            // If function has a maximum near 0 and becomes very negative at extremes
+    // Mark every definition that reaches itself through the functions it
+    // calls, which would otherwise recurse forever when evaluated
+    findCycles() {
+        const callsIn = (node, found = []) => {
             if (
-                y_neg100 < -100 &&
-                y_100 < -100 &&
-                y_0 >= Math.max(y_neg100, y_100)
+                node.type === "call" &&
+                Object.hasOwn(this.definitions, node.name)
             ) {
-                if (maxY >= -0.1 && maxY <= 0.1) {
-                    return "y ≤ 0";
-                } else {
-                    return `y ≤ ${maxY.toFixed(2)}`;
+                found.push(node);
+            }
+            for (const child of [node.argument, node.left, node.right]) {
+                if (child) callsIn(child, found);
+            }
+            for (const arg of node.args || []) callsIn(arg, found);
+            for (const piece of node.pieces || []) {
+                if (piece.condition) callsIn(piece.condition, found);
+                callsIn(piece.value, found);
+            }
+            return found;
+        };
+
+        for (const [name, definition] of Object.entries(this.definitions)) {
+            if (!definition.body || definition.error) continue;
+
+            // Depth-first search for a path of calls leading back to name
+            const visited = new Set();
+            const search = (current, path) => {
+                const body = this.definitions[current].body;
+                if (!body) return null;
+                for (const node of callsIn(body)) {
+                    if (node.name === name) return [...path, name];
+                    if (visited.has(node.name)) continue;
+                    visited.add(node.name);
+                    const found = search(node.name, [...path, node.name]);
+                    if (found) return found;
+                }
+                return null;
+            };
+
+            const cycle = search(name, [name]);
+            if (!cycle) continue;
+
+            const first = callsIn(definition.body).find(
+                (node) => node.name === cycle[1]
+            );
+            definition.error = new ExpressionError(
+                "cycle",
+                cycle.length === 2
+                    ? `"${name}" is defined in terms of itself`
+                    : `"${name}" is defined in terms of itself through ${cycle
+                          .slice(1, -1)
+                          .map((step) => `"${step}"`)
+                          .join(", ")}`,
+                first.start,
+                first.end,
+                `${cycle.join(" → ")} never reaches a value`
+            );
+        }
+    }
+
+    // Reject calls to user-defined functions that have errors
+    checkCalls(node) {
+        if (
+            node.type === "call" &&
+            Object.hasOwn(this.definitions, node.name)
+        ) {
+            if (this.definitions[node.name].error) {
+                throw new ExpressionError(
+                    "dependency",
+                    `"${node.name}" has an error`,
+                    node.start,
+                    node.end,
+                    `fix the definition of ${node.name}`
+                );
+            }
+        }
+        for (const child of [node.argument, node.left, node.right]) {
+            if (child) this.checkCalls(child);
+        }
+        for (const arg of node.args || []) this.checkCalls(arg);
+        for (const piece of node.pieces || []) {
+            if (piece.condition) this.checkCalls(piece.condition);
+            this.checkCalls(piece.value);
+        }
+    }
+
+    // Expand calls to user-defined functions into their bodies, so the tree
+    // can be differentiated and analyzed like any other
+    inline(node) {
+        switch (node.type) {
+            case "unary":
+                return { ...node, argument: this.inline(node.argument) };
+            case "binary":
+                return {
+                    ...node,
+                    left: this.inline(node.left),
+                    right: this.inline(node.right),
+                };
+            case "call": {
+                const args = node.args.map((arg) => this.inline(arg));
+                const definition = this.definitions[node.name];
+                if (definition && definition.body) {
+                    return this.inline(
+                        substitute(
+                            definition.body,
+                            definition.variable,
+                            args[0]
+                        )
+                    );
                 }
+                return { ...node, args };
             }
+            case "condition":
+                return {
+                    ...node,
+                    args: node.args.map((arg) => this.inline(arg)),
+                };
+            case "piecewise":
+                return {
+                    ...node,
+                    pieces: node.pieces.map((piece) => ({
+                        condition:
+                            piece.condition && this.inline(piece.condition),
+                        value: this.inline(piece.value),
+                    })),
+                };
+        }
+        return node;
+    }
 
-            // Check for strictly increasing behavior (linear with positive slope)
-            if (
-                y_neg100 < y_neg10 &&
-                y_neg10 < y_0 &&
-                y_0 < y_10 &&
-                y_10 < y_100
-            ) {
-                const slope = (y_100 - y_neg100) / 200;
-                if (Math.abs(slope) > 0.1) {
-                    return "All real numbers (ℝ)";
+    // Parse an equation in x and y. "y = ..." without y on the right is an
+    // ordinary function and returns { func }; anything else returns
+    // { relation }, a function of x and y that is zero on the curve
+    parseEquation(expression) {
+        const outside = this.maskBraces(expression);
+        const equals = outside.indexOf("=");
+        const again = outside.indexOf("=", equals + 1);
+        if (again !== -1) {
+            throw new ExpressionError(
+                "unexpected-token",
+                'An equation can only have one "="',
+                again,
+                again + 1,
+                "remove the extra equals sign"
+            );
+        }
+
+        const { left, right, leftText, rightText } = this.parseSides(
+            expression,
+            equals,
+            1,
+            "equation",
+            "x^2 + y^2 = 25"
+        );
+
+        const isY = (node) => node.type === "variable" && node.name === "y";
+        if (isY(left) && !dependsOn(right, "y")) {
+            return { func: this.parse(rightText) };
+        }
+        if (isY(right) && !dependsOn(left, "y")) {
+            return { func: this.parse(leftText) };
+        }
+
+        return { relation: this.compileRelation(left, right, "Equation") };
+    }
+
+    // Parse an inequality in x and y such as y > x^2 - 4 or x^2 + y^2 <= 9.
+    // Returns { relation, sign, strict }: the region is where
+    // sign * relation(x, y) is positive, or also zero when not strict
+    parseInequality(expression) {
+        const outside = this.maskBraces(expression);
+        const comparisons = [...outside.matchAll(/<=|>=|<|>|≤|≥/g)];
+        if (comparisons.length > 1) {
+            const extra = comparisons[1];
+            throw new ExpressionError(
+                "unexpected-token",
+                "An inequality can only have one comparison",
+                extra.index,
+                extra.index + extra[0].length,
+                "enter each condition on its own row; their overlap is shaded"
+            );
+        }
+
+        const [operator] = comparisons[0];
+        const at = comparisons[0].index;
+        const equals = outside
+            .replace(operator, " ".repeat(operator.length))
+            .indexOf("=");
+        if (equals !== -1) {
+            throw new ExpressionError(
+                "unexpected-token",
+                'An inequality cannot also contain "="',
+                equals,
+                equals + 1,
+                'write "<=" or ">=" as one comparison'
+            );
+        }
+
+        const { left, right } = this.parseSides(
+            expression,
+            at,
+            operator.length,
+            "inequality",
+            "y > x^2 - 4"
+        );
+        return {
+            relation: this.compileRelation(left, right, "Inequality"),
+            sign: /[>≥]/.test(operator) ? 1 : -1,
+            strict: operator === "<" || operator === ">",
+        };
+    }
+
+    // Split an equation or inequality at its operator and parse both sides in
+    // x and y. Each side is padded with blanks so error spans match the text
+    parseSides(expression, at, length, noun, example) {
+        const blank = (count) => " ".repeat(count);
+        const leftText = expression.slice(0, at);
+        const rightText = blank(at + length) + expression.slice(at + length);
+        for (const [text, side] of [
+            [leftText, "left"],
+            [rightText, "right"],
+        ]) {
+            if (text.trim() === "") {
+                throw new ExpressionError(
+                    "missing-operand",
+                    `The ${side} side of the ${noun} is empty`,
+                    at,
+                    at + length,
+                    `write both sides, e.g. "${example}"`
+                );
+            }
+        }
+
+        const left = this.parseTree(leftText, this.coordinates);
+        const right = this.parseTree(rightText, this.coordinates);
+        this.checkCalls(left);
+        this.checkCalls(right);
+        return { left, right, leftText, rightText };
+    }
+
+    // A function of x and y that is zero where the two sides are equal
+    compileRelation(left, right, noun) {
+        const ast = binary("-", left, right);
+        const relation = (x, y) => this.evaluateNode(ast, { x, y });
+        relation.ast = ast;
+
+        const samples = [-2, -1, 0, 0.5, 1, 2];
+        if (
+            !samples.some((x) => samples.some((y) => isFinite(relation(x, y))))
+        ) {
+            throw new Error(
+                `Invalid expression: ${noun} does not produce valid numeric results`
+            );
+        }
+        return relation;
+    }
+
+    // Wrap a syntax tree in a function of x (or the given variable), keeping
+    // the tree inspectable
+    compile(ast, variable = "x") {
+        const func = (value) => this.evaluateNode(ast, { [variable]: value });
+        func.ast = ast;
+        return func;
+    }
+
+    // The sorted constants the variable is compared with in the conditions of
+    // a syntax tree, such as 0 and 2*pi in sin(x) {0 <= x <= 2*pi}
+    comparedConstants(node, variable = "x", found = []) {
+        if (node.type === "condition") {
+            node.args.forEach((arg, i) => {
+                if (arg.type !== "variable" || arg.name !== variable) return;
+                for (const other of [node.args[i - 1], node.args[i + 1]]) {
+                    if (!other || dependsOn(other, variable)) continue;
+                    const value = this.evaluateNode(other, {});
+                    if (isFinite(value) && !found.includes(value)) {
+                        found.push(value);
+                    }
+                }
+            });
+        }
+        for (const child of [node.argument, node.left, node.right]) {
+            if (child) this.comparedConstants(child, variable, found);
+        }
+        for (const arg of node.args || []) {
+            this.comparedConstants(arg, variable, found);
+        }
+        for (const piece of node.pieces || []) {
+            if (piece.condition) {
+                this.comparedConstants(piece.condition, variable, found);
+            }
+            this.comparedConstants(piece.value, variable, found);
+        }
+        return found.sort((a, b) => a - b);
+    }
+
+    // Print a syntax tree back as an expression, with minimal parentheses
+    format(node) {
+        switch (node.type) {
+            case "number":
+                return formatNumber(node.value);
+            case "variable":
+            case "constant":
+            case "parameter":
+                return node.name;
+            case "unary": {
+                const argument = this.format(node.argument);
+                return this.precedence(node.argument) < 2
+                    ? `-(${argument})`
+                    : `-${argument}`;
+            }
+            case "binary": {
+                const own = this.precedence(node);
+                let left = this.format(node.left);
+                let right = this.format(node.right);
+                const leftPrecedence = this.precedence(node.left);
+                const rightPrecedence = this.precedence(node.right);
+
+                if (
+                    leftPrecedence < own ||
+                    (node.op === "^" && leftPrecedence === own)
+                ) {
+                    left = `(${left})`;
+                }
+                if (
+                    rightPrecedence < own ||
+                    (rightPrecedence === 3 && own < 3) ||
+                    (rightPrecedence === own &&
+                        node.op !== "^" &&
+                        node.op !== "+" &&
+                        node.op !== "*")
+                ) {
+                    right = `(${right})`;
+                }
+
+                if (node.op === "+" || node.op === "-") {
+                    return `${left} ${node.op} ${right}`;
+                }
+                return `${left}${node.op}${right}`;
+            }
+            case "call":
+                if (node.name === "factorial") {
+                    const argument = this.format(node.args[0]);
+                    return this.precedence(node.args[0]) < 5
+                        ? `(${argument})!`
+                        : `${argument}!`;
+                }
+                return `${node.name}(${node.args
+                    .map((arg) => this.format(arg))
+                    .join(", ")})`;
+            case "condition":
+                return node.args
+                    .map((arg, i) =>
+                        i === 0
+                            ? this.format(arg)
+                            : `${node.operators[i - 1]} ${this.format(arg)}`
+                    )
+                    .join(" ");
+            case "piecewise": {
+                const pieces = node.pieces.map((piece) =>
+                    piece.condition
+                        ? `${this.format(piece.condition)}: ${this.format(
+                              piece.value
+                          )}`
+                        : this.format(piece.value)
+                );
+                // A single piece with a condition is a domain restriction
+                if (pieces.length === 1 && node.pieces[0].condition) {
+                    const value = this.format(node.pieces[0].value);
+                    return `${value} {${this.format(
+                        node.pieces[0].condition
+                    )}}`;
+                }
+                return `{${pieces.join(", ")}}`;
+            }
+        }
+        return "";
+    }
+
+    // Binding strength of a node when printed: higher binds tighter
+    precedence(node) {
+        if (node.type === "binary") {
+            return { "+": 1, "-": 1, "*": 2, "/": 2, "^": 4 }[node.op];
+        }
+        if (node.type === "unary") return 3;
+        if (node.type === "number" && node.value < 0) return 3;
+        // A trailing restriction such as "x^2 {x > 0}" needs parentheses
+        // inside a larger expression
+        if (node.type === "piecewise" && node.pieces.length === 1) return 0;
+        return 5;
+    }
+
+    // Walk the syntax tree and compute its value for the given variables
+    evaluateNode(node, scope) {
+        switch (node.type) {
+            case "number":
+                return node.value;
+            case "variable":
+                return scope[node.name];
+            case "constant":
+                return this.constants[node.name];
+            case "parameter":
+                return this.parameters[node.name];
+            case "unary":
+                return -this.evaluateNode(node.argument, scope);
+            case "binary": {
+                const left = this.evaluateNode(node.left, scope);
+                const right = this.evaluateNode(node.right, scope);
+                switch (node.op) {
+                    case "+":
+                        return left + right;
+                    case "-":
+                        return left - right;
+                    case "*":
+                        return left * right;
+                    case "/":
+                        return left / right;
+                    case "^":
+                        return Math.pow(left, right);
+                }
+                break;
+            }
+            case "call": {
+                const args = node.args.map((arg) =>
+                    this.evaluateNode(arg, scope)
+                );
+                const definition = this.definitions[node.name];
+                if (definition) {
+                    if (!definition.body) return NaN;
+                    return this.evaluateNode(definition.body, {
+                        [definition.variable]: args[0],
+                    });
+                }
+                return this.functions[node.name](...args);
+            }
+            case "condition": {
+                // Chained comparisons such as 0 <= x < 1 hold only if every
+                // link does; comparisons with NaN fail
+                const values = node.args.map((arg) =>
+                    this.evaluateNode(arg, scope)
+                );
+                return node.operators.every((op, i) =>
+                    compare(op, values[i], values[i + 1])
+                )
+                    ? 1
+                    : 0;
+            }
+            case "piecewise": {
+                for (const piece of node.pieces) {
+                    if (
+                        !piece.condition ||
+                        this.evaluateNode(piece.condition, scope) === 1
+                    ) {
+                        return this.evaluateNode(piece.value, scope);
+                    }
+                }
+                return NaN;
+            }
+        }
+        return NaN;
+    }
+
+    // Evaluate expression at a given x value
+    evaluate(func, x) {
+        try {
+            const result = func(x);
+            if (typeof result !== "number") {
+                return NaN;
+            }
+            return result;
+        } catch (error) {
+            return NaN;
+        }
+    }
+}
+
+// Symbolic differentiation of expression syntax trees
+class Differentiator {
+    constructor(parser) {
+        this.parser = parser;
+
+        const square = (u) => binary("^", u, num(2));
+        const reciprocal = (u) => binary("/", num(1), u);
+        // |u|*sqrt(u^2 - 1), from the derivatives of arcsec and arccsc
+        const secantFactor = (u) =>
+            binary(
+                "*",
+                call("abs", u),
+                call("sqrt", binary("-", square(u), num(1)))
+            );
+        // a where a op b holds, otherwise b, for min and max
+        const choose = (op, a, b) => ({
+            type: "piecewise",
+            pieces: [
+                {
+                    condition: {
+                        type: "condition",
+                        operators: [op],
+                        args: [a, b],
+                    },
+                    value: a,
+                },
+                { condition: null, value: b },
+            ],
+        });
+
+        // d/du f(u) for each built-in function, as a tree in u. Any further
+        // arguments, such as the n of nthroot(u, n), must be constant, except
+        // for a flat function such as floor, whose rule takes none
+        this.rules = {
+            sin: (u) => call("cos", u),
+            cos: (u) => neg(call("sin", u)),
+            tan: (u) => binary("^", call("sec", u), num(2)),
+            csc: (u) => neg(binary("*", call("csc", u), call("cot", u))),
+            sec: (u) => binary("*", call("sec", u), call("tan", u)),
+            cot: (u) => neg(binary("^", call("csc", u), num(2))),
+            arcsin: (u) =>
+                reciprocal(call("sqrt", binary("-", num(1), square(u)))),
+            arccos: (u) =>
+                neg(reciprocal(call("sqrt", binary("-", num(1), square(u))))),
+            arctan: (u) => reciprocal(binary("+", num(1), square(u))),
+            arccot: (u) => neg(reciprocal(binary("+", num(1), square(u)))),
+            arcsec: (u) => reciprocal(secantFactor(u)),
+            arccsc: (u) => neg(reciprocal(secantFactor(u))),
+            sinh: (u) => call("cosh", u),
+            cosh: (u) => call("sinh", u),
+            tanh: (u) => reciprocal(square(call("cosh", u))),
+            arcsinh: (u) =>
+                reciprocal(call("sqrt", binary("+", square(u), num(1)))),
+            arccosh: (u) =>
+                reciprocal(call("sqrt", binary("-", square(u), num(1)))),
+            arctanh: (u) => reciprocal(binary("-", num(1), square(u))),
+            log: (u) =>
+                binary("/", num(1), binary("*", u, call("ln", num(10)))),
+            ln: (u) => binary("/", num(1), u),
+            sqrt: (u) =>
+                binary("/", num(1), binary("*", num(2), call("sqrt", u))),
+            cbrt: (u) =>
+                reciprocal(binary("*", num(3), square(call("cbrt", u)))),
+            nthroot: (u, n) =>
+                binary("/", call("nthroot", u, n), binary("*", n, u)),
+            abs: (u) => binary("/", u, call("abs", u)),
+            sign: () => num(0),
+            floor: () => num(0),
+            ceil: () => num(0),
+            round: () => num(0),
+            gcd: () => num(0),
+            lcm: () => num(0),
+            exp: (u) => call("exp", u),
+            gamma: (u) => binary("*", call("gamma", u), call("digamma", u)),
+            factorial: (u) =>
+                binary(
+                    "*",
+                    call("factorial", u),
+                    call("digamma", binary("+", u, num(1)))
+                ),
+            digamma: (u) => call("trigamma", u),
+        };
+
+        // Functions of several arguments rewritten in terms of others
+        // before differentiating
+        this.expansions = {
+            log: (b, u) =>
+                binary("*", call("ln", u), reciprocal(call("ln", b))),
+            mod: (a, b) =>
+                binary(
+                    "-",
+                    a,
+                    binary("*", b, call("floor", binary("/", a, b)))
+                ),
+            min: (...args) => args.reduce((a, b) => choose("<=", a, b)),
+            max: (...args) => args.reduce((a, b) => choose(">=", a, b)),
+        };
+    }
+
+    // Differentiate a syntax tree with respect to the given variable
+    differentiate(node, variable = "x") {
+        const d = (child) => this.differentiate(child, variable);
+
+        switch (node.type) {
+            case "number":
+            case "constant":
+            case "parameter":
+                return num(0);
+            case "variable":
+                return num(node.name === variable ? 1 : 0);
+            case "unary":
+                return neg(d(node.argument));
+            case "binary": {
+                const u = node.left;
+                const v = node.right;
+                switch (node.op) {
+                    case "+":
+                    case "-":
+                        return binary(node.op, d(u), d(v));
+                    case "*":
+                        // Product rule
+                        return binary(
+                            "+",
+                            binary("*", d(u), v),
+                            binary("*", u, d(v))
+                        );
+                    case "/":
+                        // Quotient rule
+                        return binary(
+                            "/",
+                            binary(
+                                "-",
+                                binary("*", d(u), v),
+                                binary("*", u, d(v))
+                            ),
+                            binary("^", v, num(2))
+                        );
+                    case "^":
+                        return this.differentiatePower(u, v, variable);
+                }
+                break;
+            }
+            case "call": {
+                const expand = this.expansions[node.name];
+                if (expand && node.args.length > 1) {
+                    return d(expand(...node.args));
+                }
+                const rule = this.rules[node.name];
+                const [u, ...rest] = node.args;
+                const varying = rest.some((arg) => dependsOn(arg, variable));
+                if (!rule || (varying && rule.length > 0)) {
+                    // A constant such as 5! needs no rule
+                    if (!dependsOn(node, variable)) return num(0);
+                    throw new Error(`Cannot differentiate "${node.name}"`);
+                }
+                // Chain rule
+                return binary("*", rule(...node.args), d(u));
+            }
+            case "piecewise":
+                // Differentiate each piece under the same condition
+                return {
+                    type: "piecewise",
+                    pieces: node.pieces.map((piece) => ({
+                        condition: piece.condition,
+                        value: d(piece.value),
+                    })),
+                };
+        }
+        throw new Error("Cannot differentiate expression");
+    }
+
+    differentiatePower(u, v, variable) {
+        const du = this.differentiate(u, variable);
+        const dv = this.differentiate(v, variable);
+
+        if (!dependsOn(v, variable)) {
+            // Power rule: (u^n)' = n*u^(n-1)*u'
+            return binary(
+                "*",
+                binary("*", v, binary("^", u, binary("-", v, num(1)))),
+                du
+            );
+        }
+        if (!dependsOn(u, variable)) {
+            // Exponential rule: (a^v)' = a^v*ln(a)*v'
+            return binary(
+                "*",
+                binary("*", binary("^", u, v), call("ln", u)),
+                dv
+            );
+        }
+        // General case: (u^v)' = u^v*(v'*ln(u) + v*u'/u)
+        return binary(
+            "*",
+            binary("^", u, v),
+            binary(
+                "+",
+                binary("*", dv, call("ln", u)),
+                binary("/", binary("*", v, du), u)
+            )
+        );
+    }
+
+    // Fold constants and remove identity operations bottom-up
+    simplify(node) {
+        switch (node.type) {
+            case "unary": {
+                const argument = this.simplify(node.argument);
+                if (argument.type === "number") return num(-argument.value);
+                if (argument.type === "unary") return argument.argument;
+                if (argument.type !== "binary") return neg(argument);
+                // -(-u - v) -> u + v
+                if (
+                    (argument.op === "+" || argument.op === "-") &&
+                    leadsNegative(argument)
+                ) {
+                    return this.collectTerms(neg(argument));
                 }
+                // -(2*x) -> -2*x, -(-u/v) -> u/v
+                if (
+                    (argument.op === "*" || argument.op === "/") &&
+                    (argument.left.type === "number" ||
+                        leadsNegative(argument.left))
+                ) {
+                    return this.simplifyBinary(
+                        argument.op,
+                        this.simplify(neg(argument.left)),
+                        argument.right
+                    );
+                }
+                return neg(argument);
+            }
+            case "call": {
+                const args = node.args.map((arg) => this.simplify(arg));
+                // ln(e) -> 1
+                if (
+                    node.name === "ln" &&
+                    args[0].type === "constant" &&
+                    args[0].name === "e"
+                ) {
+                    return num(1);
+                }
+                return call(node.name, ...args);
+            }
+            case "binary":
+                return this.simplifyBinary(
+                    node.op,
+                    this.simplify(node.left),
+                    this.simplify(node.right)
+                );
+            case "piecewise":
+                return {
+                    ...node,
+                    pieces: node.pieces.map((piece) => ({
+                        condition: piece.condition,
+                        value: this.simplify(piece.value),
+                    })),
+                };
+        }
+        return node;
+    }
+
+    simplifyBinary(op, left, right) {
+        const isNum = (node, value) =>
+            node.type === "number" &&
+            (value === undefined || node.value === value);
+
+        if (isNum(left) && isNum(right)) {
+            const value = this.parser.evaluateNode(binary(op, left, right), {});
+            if (Number.isInteger(value)) return num(value);
+        }
+
+        switch (op) {
+            case "+":
+            case "-":
+                return this.collectTerms(binary(op, left, right));
+            case "*":
+                // Keep a single fraction: u*(a/v) -> (u*a)/v
+                if (right.type === "binary" && right.op === "/") {
+                    return this.simplifyBinary(
+                        "/",
+                        this.simplifyBinary("*", left, right.left),
+                        right.right
+                    );
+                }
+                if (left.type === "binary" && left.op === "/") {
+                    return this.simplifyBinary(
+                        "/",
+                        this.simplifyBinary("*", left.left, right),
+                        left.right
+                    );
+                }
+                return this.collectFactors(binary(op, left, right));
+            case "/": {
+                if (isNum(left, 0)) return num(0);
+                if (isNum(right, 1)) return left;
+                if (sameTree(left, right)) return num(1);
+                // Keep a single fraction: (u/v)/w -> u/(v*w), u/(v/w) -> u*w/v
+                if (left.type === "binary" && left.op === "/") {
+                    return this.simplifyBinary(
+                        "/",
+                        left.left,
+                        this.simplifyBinary("*", left.right, right)
+                    );
+                }
+                if (right.type === "binary" && right.op === "/") {
+                    return this.simplifyBinary(
+                        "/",
+                        this.simplifyBinary("*", left, right.right),
+                        right.left
+                    );
+                }
+                if (left.type === "unary") {
+                    return this.simplify(
+                        neg(this.simplifyBinary("/", left.argument, right))
+                    );
+                }
+                // Cancel a shared base: u^3*v/u^2 -> u*v
+                const [base, power] = splitPower(right);
+                if (power.type === "number") {
+                    const factors = productFactors(left);
+                    const index = factors.findIndex((factor) => {
+                        const [factorBase, factorPower] = splitPower(factor);
+                        return (
+                            factorPower.type === "number" &&
+                            sameTree(factorBase, base)
+                        );
+                    });
+                    if (index !== -1) {
+                        const remaining =
+                            splitPower(factors[index])[1].value - power.value;
+                        factors[index] = binary(
+                            "^",
+                            base,
+                            num(Math.max(remaining, 0))
+                        );
+                        const top = this.simplify(
+                            factors.reduce((a, b) => binary("*", a, b))
+                        );
+                        return remaining >= 0
+                            ? top
+                            : this.simplifyBinary(
+                                  "/",
+                                  top,
+                                  this.simplifyBinary(
+                                      "^",
+                                      base,
+                                      num(-remaining)
+                                  )
+                              );
+                    }
+                }
+                // Cancel numeric factors: 2/(4*u) -> 1/(2*u), (6*u)/3 -> 2*u
+                const [leftFactor, leftRest] = splitFactor(left);
+                const [rightFactor, rightRest] = splitFactor(right);
+                const divisor =
+                    Math.sign(rightFactor) * gcd(leftFactor, rightFactor);
+                if (divisor && divisor !== 1) {
+                    const scaled = (factor, rest) =>
+                        rest
+                            ? this.simplifyBinary("*", num(factor), rest)
+                            : num(factor);
+                    const top = scaled(leftFactor / divisor, leftRest);
+                    const bottom = scaled(rightFactor / divisor, rightRest);
+                    return this.simplifyBinary("/", top, bottom);
+                }
+                break;
             }
+            case "^":
+                if (isNum(right, 0)) return num(1);
+                if (isNum(right, 1)) return left;
+                if (isNum(left, 1)) return num(1);
+                // (u^a)^b -> u^(a*b) for numeric exponents
+                if (
+                    isNum(right) &&
+                    left.type === "binary" &&
+                    left.op === "^" &&
+                    isNum(left.right)
+                ) {
+                    return this.simplifyBinary(
+                        "^",
+                        left.left,
+                        num(left.right.value * right.value)
+                    );
+                }
+                // Whole powers spread over numbers: (2*u)^2 -> 4*u^2,
+                // (u/2)^2 -> u^2/4
+                if (
+                    isNum(right) &&
+                    Number.isInteger(right.value) &&
+                    left.type === "binary" &&
+                    ((left.op === "*" && isNum(left.left)) ||
+                        (left.op === "/" && isNum(left.right)))
+                ) {
+                    return this.simplifyBinary(
+                        left.op,
+                        this.simplifyBinary("^", left.left, right),
+                        this.simplifyBinary("^", left.right, right)
+                    );
+                }
+                break;
+        }
+
+        return binary(op, left, right);
+    }
 
-            // Check for strictly decreasing behavior (linear with negative slope)
+    // Flatten a sum, merge like terms (x + 2*x -> 3*x) and rebuild it
+    collectTerms(node) {
+        const terms = [];
+        let constant = 0;
+        let fractional = false;
+
+        const add = (term, sign) => {
             if (
-                y_neg100 > y_neg10 &&
-                y_neg10 > y_0 &&
-                y_0 > y_10 &&
-                y_10 > y_100
+                term.type === "binary" &&
+                (term.op === "+" || term.op === "-")
             ) {
-                const slope = (y_100 - y_neg100) / 200;
-                if (Math.abs(slope) > 0.1) {
-                    return "All real numbers (ℝ)";
+                add(term.left, sign);
+                add(term.right, term.op === "-" ? -sign : sign);
+            } else if (term.type === "unary") {
+                add(term.argument, -sign);
+            } else if (term.type === "number") {
+                constant += sign * term.value;
+            } else if (isFraction(term)) {
+                // 1/3 - 1 -> -2/3
+                constant += (sign * term.left.value) / term.right.value;
+                fractional = true;
+            } else {
+                const [factor, rest] = splitFactor(term);
+                const like = terms.find((t) => sameTree(t.term, rest));
+                if (like) {
+                    like.coefficient += sign * factor;
+                } else {
+                    terms.push({ coefficient: sign * factor, term: rest });
+                }
+            }
+        };
+        add(node, 1);
+
+        let result = null;
+        for (const { coefficient, term } of terms) {
+            if (coefficient === 0) continue;
+            const magnitude = Math.abs(coefficient);
+            const scaled =
+                magnitude === 1
+                    ? term
+                    : this.simplifyBinary("*", num(magnitude), term);
+
+            if (!result) {
+                result = coefficient < 0 ? neg(scaled) : scaled;
+                if (coefficient < 0 && magnitude !== 1) {
+                    result = this.simplifyBinary("*", num(coefficient), term);
                 }
+            } else {
+                result = binary(coefficient < 0 ? "-" : "+", result, scaled);
+            }
+        }
+
+        const number = (value) =>
+            fractional ? this.fraction(value) : num(value);
+        if (!result) return number(constant);
+        if (constant > 0) return binary("+", result, number(constant));
+        if (constant < 0) return binary("-", result, number(-constant));
+        return result;
+    }
+
+    // A number as p/q, for the smallest q up to 100 that makes p whole
+    fraction(value) {
+        for (let q = 1; q <= 100; q++) {
+            const p = Math.round(value * q);
+            if (Math.abs(p - value * q) < 1e-9 * q) {
+                return q === 1 ? num(p) : binary("/", num(p), num(q));
             }
         }
+        return num(value);
+    }
+
+    // Flatten a product, merge numeric factors and equal bases and rebuild it
+    collectFactors(node) {
+        const factors = [];
+        let coefficient = 1;
+
+        const multiply = (factor) => {
+            if (factor.type === "binary" && factor.op === "*") {
+                multiply(factor.left);
+                multiply(factor.right);
+            } else if (factor.type === "unary") {
+                coefficient = -coefficient;
+                multiply(factor.argument);
+            } else if (factor.type === "number") {
+                coefficient *= factor.value;
+            } else {
+                const [base, power] = splitPower(factor);
+                const like = factors.find((f) => sameTree(f.base, base));
+                if (like) {
+                    like.power = this.simplifyBinary("+", like.power, power);
+                } else {
+                    factors.push({ base, power });
+                }
+            }
+        };
+        multiply(node);
+
+        if (coefficient === 0) return num(0);
 
-        // Check if function appears constant
-        const tolerance = 0.01;
-        if (Math.abs(maxY - minY) < tolerance) {
-            return `y ≈ ${((minY + maxY) / 2).toFixed(
-                2
-            )} (approximately constant)`;
+        let product = null;
+        for (const { base, power } of factors) {
+            const factor = this.simplifyBinary("^", base, power);
+            if (factor.type === "number" && factor.value === 1) continue;
+            product = product ? binary("*", product, factor) : factor;
         }
 
-        // Check for common bounded ranges
-        if (minY >= -1.1 && maxY <= 1.1 && minY <= -0.9 && maxY >= 0.9) {
-            return "-1 ≤ y ≤ 1"; // Trigonometric functions
-        }
+        if (!product) return num(coefficient);
+        if (coefficient === 1) return product;
+        if (coefficient === -1) return neg(product);
+        return binary("*", num(coefficient), product);
+    }
+    // Simplified derivative of a parsed function, as a new function
+    derive(func, variable = "x") {
+        const ast = this.simplify(
+            this.differentiate(this.parser.inline(func.ast), variable)
+        );
+        return this.parser.compile(ast);
+    }
+}
+
+// Syntax tree node builders used by symbolic manipulation
+function num(value) {
+    return { type: "number", value };
+}
+
+function neg(argument) {
+    return { type: "unary", op: "-", argument };
+}
+
+function binary(op, left, right) {
+    return { type: "binary", op, left, right };
+}
+
+function call(name, ...args) {
+    return { type: "call", name, args };
+}
+
+// Split u^n into [u, n]; anything else is [u, 1]
+function splitPower(node) {
+    if (node.type === "binary" && node.op === "^") {
+        return [node.left, node.right];
+    }
+    return [node, num(1)];
+}
+
+// Flatten a product into its factors: 2*u*v -> [2, u, v]
+function productFactors(node) {
+    if (node.type === "binary" && node.op === "*") {
+        return [...productFactors(node.left), ...productFactors(node.right)];
+    }
+    return [node];
+}
+
+// Split a numeric coefficient off a product: 3*u -> [3, u], 4 -> [4, null]
+function splitFactor(node) {
+    if (node.type === "number") return [node.value, null];
+    if (
+        node.type === "binary" &&
+        node.op === "*" &&
+        node.left.type === "number"
+    ) {
+        return [node.left.value, node.right];
+    }
+    return [1, node];
+}
+
+// Whether a tree is a fraction of two numbers, like 1/3
+function isFraction(node) {
+    return (
+        node.type === "binary" &&
+        node.op === "/" &&
+        node.left.type === "number" &&
+        node.right.type === "number"
+    );
+}
+
+// Whether a tree is written with a leading minus sign: -u, -2*u, -u + v
+function leadsNegative(node) {
+    if (node.type === "unary") return true;
+    if (node.type === "number") return node.value < 0;
+    if (node.type === "binary" && node.op !== "^") {
+        return leadsNegative(node.left);
+    }
+    return false;
+}
+
+// Whether a syntax tree calls any of the named functions
+function callsAny(node, names) {
+    switch (node.type) {
+        case "unary":
+            return callsAny(node.argument, names);
+        case "binary":
+            return callsAny(node.left, names) || callsAny(node.right, names);
+        case "call":
+            return (
+                names.includes(node.name) ||
+                node.args.some((arg) => callsAny(arg, names))
+            );
+        case "condition":
+            return node.args.some((arg) => callsAny(arg, names));
+        case "piecewise":
+            return node.pieces.some(
+                (piece) =>
+                    (piece.condition && callsAny(piece.condition, names)) ||
+                    callsAny(piece.value, names)
+            );
+    }
+    return false;
+}
+
+// Whether a syntax tree has a piecewise part or a condition, across whose
+// boundaries its value can jump
+function hasPieces(node) {
+    switch (node.type) {
+        case "unary":
+            return hasPieces(node.argument);
+        case "binary":
+            return hasPieces(node.left) || hasPieces(node.right);
+        case "call":
+            return node.args.some(hasPieces);
+        case "condition":
+        case "piecewise":
+            return true;
+    }
+    return false;
+}
+
+// Whether a syntax tree mentions the given variable
+function dependsOn(node, variable) {
+    switch (node.type) {
+        case "variable":
+            return node.name === variable;
+        case "unary":
+            return dependsOn(node.argument, variable);
+        case "binary":
+            return (
+                dependsOn(node.left, variable) ||
+                dependsOn(node.right, variable)
+            );
+        case "call":
+        case "condition":
+            return node.args.some((arg) => dependsOn(arg, variable));
+        case "piecewise":
+            return node.pieces.some(
+                (piece) =>
+                    (piece.condition && dependsOn(piece.condition, variable)) ||
+                    dependsOn(piece.value, variable)
+            );
+    }
+    return false;
+}
+
+// The names of the parameters a syntax tree uses
+function collectParameters(node, names = new Set()) {
+    switch (node.type) {
+        case "parameter":
+            names.add(node.name);
+            break;
+        case "unary":
+            collectParameters(node.argument, names);
+            break;
+        case "binary":
+            collectParameters(node.left, names);
+            collectParameters(node.right, names);
+            break;
+        case "call":
+        case "condition":
+            for (const arg of node.args) collectParameters(arg, names);
+            break;
+        case "piecewise":
+            for (const piece of node.pieces) {
+                if (piece.condition) collectParameters(piece.condition, names);
+                collectParameters(piece.value, names);
+            }
+            break;
+    }
+    return names;
+}
+
+// Replace the variable called name with the tree replacement
+function substitute(node, name, replacement) {
+    switch (node.type) {
+        case "variable":
+            return node.name === name ? replacement : node;
+        case "unary":
+            return {
+                ...node,
+                argument: substitute(node.argument, name, replacement),
+            };
+        case "binary":
+            return {
+                ...node,
+                left: substitute(node.left, name, replacement),
+                right: substitute(node.right, name, replacement),
+            };
+        case "call":
+        case "condition":
+            return {
+                ...node,
+                args: node.args.map((arg) =>
+                    substitute(arg, name, replacement)
+                ),
+            };
+        case "piecewise":
+            return {
+                ...node,
+                pieces: node.pieces.map((piece) => ({
+                    condition:
+                        piece.condition &&
+                        substitute(piece.condition, name, replacement),
+                    value: substitute(piece.value, name, replacement),
+                })),
+            };
+    }
+    return node;
+}
+
+// Structural equality of two syntax trees, ignoring source positions
+function sameTree(a, b) {
+    if (a.type !== b.type) return false;
+    switch (a.type) {
+        case "number":
+            return a.value === b.value;
+        case "variable":
+        case "constant":
+        case "parameter":
+            return a.name === b.name;
+        case "unary":
+            return sameTree(a.argument, b.argument);
+        case "binary":
+            return (
+                a.op === b.op &&
+                sameTree(a.left, b.left) &&
+                sameTree(a.right, b.right)
+            );
+        case "call":
+            return (
+                a.name === b.name &&
+                a.args.length === b.args.length &&
+                a.args.every((arg, i) => sameTree(arg, b.args[i]))
+            );
+        case "condition":
+            return (
+                a.operators.join() === b.operators.join() &&
+                a.args.length === b.args.length &&
+                a.args.every((arg, i) => sameTree(arg, b.args[i]))
+            );
+        case "piecewise":
+            return (
+                a.pieces.length === b.pieces.length &&
+                a.pieces.every((piece, i) => {
+                    const other = b.pieces[i];
+                    if (!piece.condition || !other.condition) {
+                        if (piece.condition || other.condition) return false;
+                    } else if (!sameTree(piece.condition, other.condition)) {
+                        return false;
+                    }
+                    return sameTree(piece.value, other.value);
+                })
+            );
+    }
+    return false;
+}
+
+// Whether a comparison between two numbers holds; false when either is NaN
+function compare(op, a, b) {
+    switch (op) {
+        case "<":
+            return a < b;
+        case "<=":
+            return a <= b;
+        case ">":
+            return a > b;
+        case ">=":
+            return a >= b;
+    }
+    return false;
+}
+
+// Print a number without floating-point noise
+function formatNumber(value) {
+    return String(parseFloat(value.toPrecision(12)));
+}
+
+// Recognize a number as a simple exact value: a fraction, a fraction of π
+// or (a + b√c)/d with small integers, to within a relative tolerance.
+// Returns { value, text } with the exact value, or null
+function exactValue(value, tolerance = 1e-9) {
+    if (!isFinite(value)) return null;
+    if (Math.abs(value) < 1e-12) return { value: 0, text: "0" };
+    const near = (a) =>
+        Math.abs(a - value) <= tolerance * Math.max(1, Math.abs(a));
+    const fraction = (numerator, denominator, unit = "") => {
+        const sign = numerator < 0 ? "-" : "";
+        const size = Math.abs(numerator);
+        const top = unit && size === 1 ? unit : `${size}${unit}`;
+        return sign + (denominator === 1 ? top : `${top}/${denominator}`);
+    };
+
+    for (let d = 1; d <= 12; d++) {
+        const n = Math.round(value * d);
+        if (!near(n / d)) continue;
+        // Short decimals such as 0.25 read better as they are
+        const decimal = formatNumber(n / d);
+        const text = decimal.length <= 5 ? decimal : fraction(n, d);
+        return { value: n / d, text };
+    }
+    for (let d = 1; d <= 12; d++) {
+        const n = Math.round((value * d) / Math.PI);
+        if (n !== 0 && near((n * Math.PI) / d)) {
+            return { value: (n * Math.PI) / d, text: fraction(n, d, "π") };
+        }
+    }
+    for (let c = 2; c <= 50; c++) {
+        // Only square-free radicands
+        if ([4, 9, 25, 49].some((square) => c % square === 0)) continue;
+        const root = Math.sqrt(c);
+        for (let d = 1; d <= 12; d++) {
+            for (let b = -12; b <= 12; b++) {
+                const a = Math.round(value * d - b * root);
+                if (b === 0 || !near((a + b * root) / d)) continue;
+                const radical = fraction(b, 1, `√${c}`);
+                let text = radical;
+                if (a !== 0) {
+                    const sign = b < 0 ? "-" : "+";
+                    text = `${a} ${sign} ${radical.replace("-", "")}`;
+                    if (d !== 1) text = `(${text})`;
+                }
+                if (d !== 1) text += `/${d}`;
+                return { value: (a + b * root) / d, text };
+            }
+        }
+    }
+    return null;
+}
+
+// Print a number exactly when it is a simple value like 1/3, 3π/4 or √2,
+// and otherwise to six significant figures
+function formatExact(value) {
+    if (value === Infinity) return "∞";
+    if (value === -Infinity) return "-∞";
+    const exact = exactValue(value);
+    return exact ? exact.text : formatNumber(Number(value.toPrecision(6)));
+}
+
+// The equation of a line, like y = 2x - 1 or y = x/2
+function lineEquation(slope, intercept) {
+    if (slope === 0) return `y = ${formatExact(intercept)}`;
+    let text = formatExact(slope);
+    if (text === "1" || text === "-1") text = text.replace("1", "x");
+    else if (text.includes("√")) text += "·x";
+    else if (text.includes("/")) text = text.replace("/", "x/");
+    else text += "x";
+    if (intercept === 0) return `y = ${text}`;
+    const sign = intercept < 0 ? "-" : "+";
+    return `y = ${text} ${sign} ${formatExact(Math.abs(intercept))}`;
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// The real nth root, so odd roots of negative numbers are negative rather
+// than NaN as with Math.pow
+function realRoot(x, n) {
+    if (x < 0 && Math.abs(n % 2) === 1) return -Math.pow(-x, 1 / n);
+    return Math.pow(x, 1 / n);
+}
+
+// Coefficients of the Lanczos approximation with g = 7
+const lanczos = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+// The gamma function, undefined at 0 and the negative integers
+function gamma(x) {
+    if (x <= 0 && Number.isInteger(x)) return NaN;
+    // Past 171.6 it overflows
+    if (x > 171.7) return Infinity;
+    // Reflection formula for the left half
+    if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+    // Exact for whole numbers, so 5! is 120 and not 120.00000000000003
+    if (Number.isInteger(x) && x <= 171) {
+        let product = 1;
+        for (let i = 2; i < x; i++) product *= i;
+        return product;
+    }
+    const t = x + 6.5;
+    let sum = lanczos[0];
+    for (let i = 1; i < lanczos.length; i++) sum += lanczos[i] / (x - 1 + i);
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, x - 0.5) * Math.exp(-t) * sum;
+}
+
+// The digamma function ψ(x) = Γ′(x)/Γ(x), undefined where gamma is
+function digamma(x) {
+    if (x <= 0 && Number.isInteger(x)) return NaN;
+    if (x < 0.5) return digamma(1 - x) - Math.PI / Math.tan(Math.PI * x);
+    // ψ(x) = ψ(x + 1) - 1/x, until the asymptotic series is accurate
+    let shift = 0;
+    for (; x < 10; x++) shift -= 1 / x;
+    const inverse = 1 / (x * x);
+    return (
+        shift +
+        Math.log(x) -
+        1 / (2 * x) -
+        inverse *
+            (1 / 12 - inverse * (1 / 120 - inverse * (1 / 252 - inverse / 240)))
+    );
+}
+
+// The trigamma function ψ′(x), undefined where gamma is
+function trigamma(x) {
+    if (x <= 0 && Number.isInteger(x)) return NaN;
+    if (x < 0.5) {
+        return (Math.PI / Math.sin(Math.PI * x)) ** 2 - trigamma(1 - x);
+    }
+    // ψ′(x) = ψ′(x + 1) + 1/x², until the asymptotic series is accurate
+    let shift = 0;
+    for (; x < 10; x++) shift += 1 / (x * x);
+    const inverse = 1 / (x * x);
+    return (
+        shift +
+        1 / x +
+        inverse / 2 +
+        (inverse / x) *
+            (1 / 6 - inverse * (1 / 30 - inverse * (1 / 42 - inverse / 30)))
+    );
+}
+
+// Greatest common divisor of integers, NaN for anything else
+function gcd(a, b) {
+    if (!Number.isInteger(a) || !Number.isInteger(b)) return NaN;
+    [a, b] = [Math.abs(a), Math.abs(b)];
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+// Built-in functions whose values jump
+const STEP_FUNCTIONS = ["floor", "ceil", "round", "sign", "mod", "gcd", "lcm"];
+
+const DOMAIN_ZERO = 1e-10; // Values this small count as zero at a boundary
+const DOMAIN_SPLITS = 4000; // Most interval splits when solving one condition
+const DOMAIN_LIMIT = 1e12; // Beyond this, conditions are taken to settle
+const DOMAIN_GAP = 1e-3; // Relative width of a gap that rounding opened
+const RAY_STRETCHES = 4; // Points of a ray of excluded points cut apart
+const RAY_TAIL = 8; // Further stretches followed to their limit
+
+// Exact domains worked out from the structure of an expression. Each sqrt,
+// log, division, power and tan-like call puts a condition such as u ≥ 0 or
+// u ≠ 0 on its argument. Interval arithmetic shows where a condition surely
+// holds or fails across a whole stretch of x; the stretches it cannot decide
+// are narrowed down to their boundaries, which are then pinned down by
+// bisection. Domains are { intervals, periodic }: sorted disjoint intervals,
+// and optionally a pattern within [0, period] repeated along the whole line
+// that x must also lie in. The poles of gamma are left out as excluded, a
+// list of rays { from, step } of the points from + k·step for k = 0, 1, …
+class DomainSolver {
+    constructor(parser, analyzer) {
+        this.parser = parser;
+        this.analyzer = analyzer;
+
+        // Conditions built-in functions put on their arguments
+        const square = (u) => binary("^", u, num(2));
+        const offPoles = (u) => [{ node: u, kind: "nonpole" }];
+        const integers = (...args) =>
+            args.map((node) => ({ node, kind: "integer" }));
+        this.argumentConditions = {
+            sqrt: (u) => [{ node: u, kind: "nonnegative" }],
+            // log(u) or log(u, v), the log of v to base u
+            log: (u, v) =>
+                v
+                    ? [
+                          { node: v, kind: "positive" },
+                          { node: u, kind: "positive" },
+                          { node: binary("-", u, num(1)), kind: "nonzero" },
+                      ]
+                    : [{ node: u, kind: "positive" }],
+            ln: (u) => [{ node: u, kind: "positive" }],
+            tan: (u) => [{ node: call("cos", u), kind: "nonzero" }],
+            sec: (u) => [{ node: call("cos", u), kind: "nonzero" }],
+            cot: (u) => [{ node: call("sin", u), kind: "nonzero" }],
+            csc: (u) => [{ node: call("sin", u), kind: "nonzero" }],
+            arcsin: (u) => [
+                { node: binary("-", num(1), square(u)), kind: "nonnegative" },
+            ],
+            arccos: (u) => [
+                { node: binary("-", num(1), square(u)), kind: "nonnegative" },
+            ],
+            arcsec: (u) => [
+                { node: binary("-", square(u), num(1)), kind: "nonnegative" },
+            ],
+            arccsc: (u) => [
+                { node: binary("-", square(u), num(1)), kind: "nonnegative" },
+            ],
+            arccosh: (u) => [
+                { node: binary("-", u, num(1)), kind: "nonnegative" },
+            ],
+            arctanh: (u) => [
+                { node: binary("-", num(1), square(u)), kind: "positive" },
+            ],
+            nthroot: (u, n) => {
+                const degree = dependsOn(n, "x")
+                    ? NaN
+                    : this.parser.evaluateNode(n, {});
+                // Odd roots are defined for every u
+                if (Math.abs(degree % 2) === 1) {
+                    return degree < 0 ? this.nonzero(u) : [];
+                }
+                return this.powerConditions(
+                    binary("^", u, binary("/", num(1), n))
+                );
+            },
+            mod: (a, b) => this.nonzero(b),
+            gamma: offPoles,
+            factorial: (u) => offPoles(binary("+", u, num(1))),
+            digamma: offPoles,
+            trigamma: offPoles,
+            gcd: integers,
+            lcm: integers,
+        };
+
+        // Bounds of built-in functions over an interval of their argument
+        const increasing = (f) => (u) => [f(u[0]), f(u[1])];
+        const decreasing = (f) => (u) => [f(u[1]), f(u[0])];
+        const clip = (u, min, f) =>
+            u[1] < min ? null : [f(Math.max(u[0], min)), f(u[1])];
+        // Bounds over the part of u within [min, max], null when none is
+        const within = (min, max, bounds) => (u) =>
+            u[1] < min || u[0] > max
+                ? null
+                : bounds([Math.max(u[0], min), Math.min(u[1], max)]);
+        const lows = (args) => args.map((arg) => arg[0]);
+        const highs = (args) => args.map((arg) => arg[1]);
+        this.functionBounds = {
+            sin: (u) => this.waveBounds(u, Math.sin, Math.PI / 2),
+            cos: (u) => this.waveBounds(u, Math.cos, 0),
+            tan: (u) => this.tanBounds(u),
+            csc: (u) =>
+                this.reciprocal(this.waveBounds(u, Math.sin, Math.PI / 2)),
+            sec: (u) => this.reciprocal(this.waveBounds(u, Math.cos, 0)),
+            cot: (u) => this.reciprocal(this.tanBounds(u)),
+            arcsin: within(-1, 1, increasing(Math.asin)),
+            arccos: within(-1, 1, decreasing(Math.acos)),
+            arctan: increasing(Math.atan),
+            arccot: decreasing(this.parser.functions.arccot),
+            arcsec: () => [0, Math.PI],
+            arccsc: () => [-Math.PI / 2, Math.PI / 2],
+            sinh: increasing(Math.sinh),
+            cosh: (u) => increasing(Math.cosh)(this.functionBounds.abs(u)),
+            tanh: increasing(Math.tanh),
+            arcsinh: increasing(Math.asinh),
+            arccosh: (u) => clip(u, 1, Math.acosh),
+            arctanh: within(-1, 1, increasing(Math.atanh)),
+            log: (u, v) => (v ? [-Infinity, Infinity] : clip(u, 0, Math.log10)),
+            ln: (u) => clip(u, 0, Math.log),
+            sqrt: (u) => clip(u, 0, Math.sqrt),
+            cbrt: increasing(Math.cbrt),
+            abs: ([lo, hi]) =>
+                lo >= 0
+                    ? [lo, hi]
+                    : hi <= 0
+                    ? [-hi, -lo]
+                    : [0, Math.max(-lo, hi)],
+            sign: increasing(Math.sign),
+            floor: increasing(Math.floor),
+            ceil: increasing(Math.ceil),
+            round: increasing(Math.round),
+            min: (...args) => [
+                Math.min(...lows(args)),
+                Math.min(...highs(args)),
+            ],
+            max: (...args) => [
+                Math.max(...lows(args)),
+                Math.max(...highs(args)),
+            ],
+            exp: increasing(Math.exp),
+        };
+    }
+
+    // The domain of a compiled function, or null when it cannot be written
+    // exactly, such as a tan(x) piece on half of the line
+    domain(func) {
+        return this.domainOf(this.parser.inline(func.ast));
+    }
+
+    domainOf(node) {
+        let domain = this.wholeLine();
+        for (const condition of this.conditions(node)) {
+            const allowed = condition.pieces
+                ? this.piecesDomain(condition.pieces)
+                : this.conditionDomain(condition);
+            domain = allowed && this.intersect(domain, allowed);
+            if (!domain) return null;
+        }
+        return domain;
+    }
+
+    wholeLine() {
+        return { intervals: [this.analyzer.realLine()], periodic: null };
+    }
+
+    // The conditions x must meet for an expression to be defined, as
+    // { node, kind } where kind is "nonnegative", "positive" or "nonzero",
+    // "nonpole" for the argument of gamma, which must not be 0, -1, -2, …,
+    // or "integer", or { pieces } for a piecewise part, which is solved as
+    // a whole
+    conditions(node, found = []) {
+        switch (node.type) {
+            case "unary":
+                this.conditions(node.argument, found);
+                break;
+            case "binary":
+                this.conditions(node.left, found);
+                this.conditions(node.right, found);
+                if (node.op === "/") found.push(...this.nonzero(node.right));
+                if (node.op === "^") found.push(...this.powerConditions(node));
+                break;
+            case "call": {
+                for (const arg of node.args) this.conditions(arg, found);
+                const conditions = this.argumentConditions[node.name];
+                if (conditions) found.push(...conditions(...node.args));
+                break;
+            }
+            case "piecewise":
+                found.push({ pieces: node });
+                break;
+        }
+        return found;
+    }
+
+    // Math.pow needs a base ≥ 0 for fractional powers, a nonzero base for
+    // negative ones and a positive base when the power varies with x
+    powerConditions(node) {
+        const base = node.left;
+        if (dependsOn(node.right, "x")) {
+            return dependsOn(base, "x")
+                ? [{ node: base, kind: "positive" }]
+                : [];
+        }
+        const power = this.parser.evaluateNode(node.right, {});
+        if (Number.isInteger(power)) return power < 0 ? this.nonzero(base) : [];
+        return [{ node: base, kind: power > 0 ? "nonnegative" : "positive" }];
+    }
+
+    // u*v ≠ 0 exactly when u ≠ 0 and v ≠ 0, and u/v or u^2 ≠ 0 when u ≠ 0.
+    // Solving the factors apart keeps a periodic one such as the sin(x) in
+    // x*sin(x) periodic
+    nonzero(node) {
+        if (node.type === "unary") return this.nonzero(node.argument);
+        if (node.type === "binary" && node.op === "*") {
+            return [...this.nonzero(node.left), ...this.nonzero(node.right)];
+        }
+        if (node.type === "binary" && node.op === "/") {
+            return this.nonzero(node.left);
+        }
+        if (
+            node.type === "binary" &&
+            node.op === "^" &&
+            !dependsOn(node.right, "x") &&
+            this.parser.evaluateNode(node.right, {}) > 0
+        ) {
+            return this.nonzero(node.left);
+        }
+        // gamma(u) is never 0, only undefined at its poles
+        if (
+            node.type === "call" &&
+            ["gamma", "factorial"].includes(node.name)
+        ) {
+            return [];
+        }
+        return [{ node, kind: "nonzero" }];
+    }
+
+    // Where one condition holds. A periodic condition such as cos(x) ≠ 0 is
+    // solved over one period
+    conditionDomain(condition) {
+        if (!dependsOn(condition.node, "x")) {
+            const value = this.parser.evaluateNode(condition.node, {});
+            const holds = this.meets(condition.kind, value, DOMAIN_ZERO);
+            return holds ? this.wholeLine() : { intervals: [], periodic: null };
+        }
+        if (condition.kind === "nonpole" || condition.kind === "integer") {
+            return this.latticeDomain(condition);
+        }
+
+        const period = this.periodOf(condition.node);
+        if (period) {
+            const intervals = this.solve(condition, 0, period);
+            return intervals && this.repeating(period, intervals);
+        }
+        const intervals = this.solve(condition, -Infinity, Infinity);
+        return intervals && { intervals, periodic: null };
+    }
+
+    // Where a*x + b is clear of the poles 0, -1, -2, … or is a whole
+    // number. The poles are left out as a ray of points, and whole numbers
+    // repeat every 1/|a|. Null when the argument is not linear
+    latticeDomain({ node, kind }) {
+        const slope = this.linearSlope(node);
+        if (!slope) return null;
+        const zero = this.snap(
+            -this.parser.evaluateNode(node, { x: 0 }) / slope
+        );
+        if (kind === "nonpole") {
+            return {
+                ...this.wholeLine(),
+                excluded: [{ from: zero, step: -1 / slope }],
+            };
+        }
+        const period = 1 / Math.abs(slope);
+        let point = this.snap(zero - Math.floor(zero / period) * period);
+        if (point >= period - 1e-9 * period) point = 0;
+        return this.repeating(period, [
+            this.interval(point, true, point, true),
+        ]);
+    }
+
+    // A piece applies where its condition holds and no earlier piece's does,
+    // and there its value must be defined
+    piecesDomain(node) {
+        let result = { intervals: [], periodic: null };
+        let taken = { intervals: [], periodic: null };
+
+        for (const piece of node.pieces) {
+            const allowed = piece.condition
+                ? this.truthDomain(piece.condition)
+                : this.wholeLine();
+            const free = allowed && this.complement(taken);
+            const region = free && this.intersect(allowed, free);
+            const value = region && this.domainOf(piece.value);
+            const part = value && this.intersect(region, value);
+            result = part && this.union(result, part);
+            taken = result && this.union(taken, allowed);
+            if (!taken) return null;
+        }
+        return result;
+    }
+
+    // Where a chained comparison such as 0 <= x < 2*pi holds: each link
+    // a < b is the condition b - a > 0, and both sides must be defined
+    truthDomain(condition) {
+        let domain = this.wholeLine();
+        condition.operators.forEach((op, i) => {
+            const [left, right] = condition.args.slice(i, i + 2);
+            const difference = op.startsWith("<")
+                ? binary("-", right, left)
+                : binary("-", left, right);
+            const kind = op.endsWith("=") ? "nonnegative" : "positive";
+            for (const part of [
+                this.domainOf(left),
+                this.domainOf(right),
+                this.conditionDomain({ node: difference, kind }),
+            ]) {
+                domain = domain && part && this.intersect(domain, part);
+            }
+        });
+        return domain;
+    }
+
+    // Whether a value meets a condition. NaN meets every condition: where a
+    // value is itself undefined, the conditions inside it rule x out
+    meets(kind, value, tolerance = 0) {
+        if (Number.isNaN(value)) return true;
+        switch (kind) {
+            case "nonnegative":
+                return value >= -tolerance;
+            case "positive":
+                return value > tolerance;
+            case "nonzero":
+                return Math.abs(value) > tolerance;
+            case "nonpole":
+                return (
+                    value > tolerance ||
+                    Math.abs(value - Math.round(value)) > tolerance
+                );
+            case "integer":
+                return Math.abs(value - Math.round(value)) <= tolerance;
+        }
+        return false;
+    }
+
+    // "in" or "out" when a condition surely holds or fails for every x in
+    // [a, b], null when interval arithmetic cannot tell
+    statusOn(condition, a, b) {
+        const bounds = this.conditionBounds(condition, a, b);
+        if (!bounds) return "in";
+        const [lo, hi] = bounds;
+        switch (condition.kind) {
+            case "nonnegative":
+                return lo >= 0 ? "in" : hi < 0 ? "out" : null;
+            case "positive":
+                return lo > 0 ? "in" : hi <= 0 ? "out" : null;
+            case "nonzero":
+                if (lo > 0 || hi < 0) return "in";
+                return lo === 0 && hi === 0 ? "out" : null;
+        }
+        return null;
+    }
+
+    // Where a condition holds in [start, end], as sorted intervals. The
+    // range is split until each part is decided or too small to split;
+    // undecided parts then have their boundaries found by bisection. Null
+    // when that takes too many splits
+    solve(condition, start, end) {
+        const runs = [];
+        let splits = DOMAIN_SPLITS;
+        const addRun = (a, b, status) => {
+            const last = runs[runs.length - 1];
+            if (last && last.status === status) {
+                last.b = b;
+            } else {
+                runs.push({ a, b, status });
+            }
+        };
+        const split = (a, b) => {
+            const status = this.statusOn(condition, a, b);
+            const middle = this.splitPoint(a, b);
+            if (status || middle === null || splits <= 0) {
+                addRun(a, b, status);
+                return;
+            }
+            splits--;
+            split(a, middle);
+            split(middle, b);
+        };
+        split(start, end);
+        // Out of splits, some stretch may hide more boundaries
+        if (splits <= 0) return null;
+
+        // An undecided run settles the ends it shares with its neighbours
+        const intervals = [];
+        runs.forEach((run, i) => {
+            if (run.status === "in") {
+                const before = runs[i - 1];
+                const after = runs[i + 1];
+                intervals.push(
+                    this.interval(
+                        run.a,
+                        !before || Boolean(before.status),
+                        run.b,
+                        !after || Boolean(after.status)
+                    )
+                );
+            } else if (!run.status) {
+                intervals.push(...this.resolve(condition, run.a, run.b));
+            }
+        });
+        const merged = this.analyzer.mergeIntervals(
+            intervals.filter((interval) => this.nonEmpty(interval))
+        );
+        return this.pinchGaps(condition, merged, start, end);
+    }
+
+    // A zero the value only touches, such as 1 - cos(x) at 0 or (x - 1)^2
+    // at 1, reads as exactly 0 over a tiny stretch once rounded, and shows
+    // up as a gap between intervals. The sign is the same on both sides, so
+    // for u ≠ 0 or u > 0 the gap is the single point it closes onto
+    pinchGaps(condition, intervals, start, end) {
+        if (!["nonzero", "positive"].includes(condition.kind)) {
+            return intervals;
+        }
+        const tiny = (a, b) =>
+            isFinite(a) &&
+            isFinite(b) &&
+            b - a <= DOMAIN_GAP * Math.max(1, Math.abs(a), Math.abs(b));
+        const point = (a, b) => {
+            const exact = exactValue((a + b) / 2, Math.max(b - a, 1e-9));
+            return exact ? exact.value : (a + b) / 2;
+        };
+
+        const pinched = intervals.map((interval) => ({ ...interval }));
+        pinched.forEach((interval, i) => {
+            const next = pinched[i + 1];
+            if (next && tiny(interval.end, next.start)) {
+                const x = point(interval.end, next.start);
+                interval.end = next.start = x;
+                interval.endClosed = next.startClosed = false;
+            }
+        });
+        const first = pinched[0];
+        if (first && first.start > start && tiny(start, first.start)) {
+            first.start = point(start, first.start);
+            first.startClosed = false;
+        }
+        const last = pinched[pinched.length - 1];
+        if (last && last.end < end && tiny(last.end, end)) {
+            last.end = point(last.end, end);
+            last.endClosed = false;
+        }
+        return pinched;
+    }
+
+    // Bounds on a condition's value over [a, b]. Interval arithmetic loses
+    // track of x appearing more than once, as in x^2 - 2x + 1 near 1, so on
+    // a finite stretch where the value cannot jump they are narrowed to the
+    // mean value form f(m) ± max|f′|·(b - a)/2 around the middle m
+    conditionBounds(condition, a, b) {
+        const bounds = this.enclose(condition.node, [a, b]);
+        if (!bounds || !isFinite(a) || !isFinite(b)) return bounds;
+
+        if (!("slope" in condition)) {
+            const { node } = condition;
+            const { differentiator } = this.analyzer;
+            condition.slope = null;
+            if (!callsAny(node, STEP_FUNCTIONS) && !hasPieces(node)) {
+                try {
+                    condition.slope = differentiator.simplify(
+                        differentiator.differentiate(node)
+                    );
+                } catch (error) {
+                    // Left to interval arithmetic alone
+                }
+            }
+        }
+        const slope = condition.slope && this.enclose(condition.slope, [a, b]);
+        const middle = this.parser.evaluateNode(condition.node, {
+            x: (a + b) / 2,
+        });
+        if (!slope || !isFinite(middle)) return bounds;
+        // Padded for rounding, which can move a zero onto either side of a
+        // split point
+        const spread =
+            (Math.max(Math.abs(slope[0]), Math.abs(slope[1])) * (b - a)) / 2 +
+            1e-14 * Math.max(1, Math.abs(middle));
+        if (!isFinite(spread)) return bounds;
+        return [
+            Math.max(bounds[0], middle - spread),
+            Math.min(bounds[1], middle + spread),
+        ];
+    }
+
+    // Where to split [a, b]: the middle of a finite interval, or further out
+    // by a factor of 8 along an infinite one. Null once it is too small or
+    // too far out to split
+    splitPoint(a, b) {
+        if (a === -Infinity && b === Infinity) return 0;
+        if (b === Infinity)
+            return a >= DOMAIN_LIMIT ? null : Math.max(1, a * 8);
+        if (a === -Infinity) {
+            return b <= -DOMAIN_LIMIT ? null : Math.min(-1, b * 8);
+        }
+        if (b - a <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b))) return null;
+        return (a + b) / 2;
+    }
+
+    // Where a condition holds within an undecided run [a, b], found from the
+    // values themselves. Bisection finds where it starts or stops holding;
+    // in a tiny run, a single point where the value touches zero, such as
+    // cos(x) at π/2, is found by minimizing it
+    resolve(condition, a, b) {
+        const { kind } = condition;
+        const value = (x) => this.parser.evaluateNode(condition.node, { x });
+        const holds = (x) => this.meets(kind, value(x));
+        const closedAt = (x) => this.meets(kind, value(x), DOMAIN_ZERO);
+
+        const tiny = this.splitPoint(a, b) === null;
+        const xs = this.resolveSamples(a, b, tiny ? 2 : 64);
+
+        const intervals = [];
+        let inside = holds(xs[0]);
+        let from = a;
+        let fromClosed = true;
+        for (let i = 0; i + 1 < xs.length; i++) {
+            if (holds(xs[i + 1]) === holds(xs[i])) continue;
+            const cut = this.boundary(holds, xs[i], xs[i + 1]);
+            const closed = closedAt(cut);
+            if (inside) {
+                intervals.push(this.interval(from, fromClosed, cut, closed));
+            }
+            [from, fromClosed, inside] = [cut, closed, !inside];
+        }
+        if (intervals.length > 0 || from !== a) {
+            if (inside) {
+                intervals.push(this.interval(from, fromClosed, b, true));
+            }
+            return intervals;
+        }
+        if (!isFinite(a) || !isFinite(b)) {
+            return inside ? [this.interval(a, true, b, true)] : [];
+        }
+
+        // No boundary inside: look for a single point where the value
+        // reaches zero, around the sample nearest to it
+        const signed = kind === "nonzero" ? (x) => Math.abs(value(x)) : value;
+        const size = (x) => (Number.isNaN(signed(x)) ? Infinity : signed(x));
+        const lowest = (g) => {
+            let best = 0;
+            xs.forEach((x, i) => {
+                if (g(x) < g(xs[best])) best = i;
+            });
+            const lo = xs[Math.max(best - 1, 0)];
+            const hi = xs[Math.min(best + 1, xs.length - 1)];
+            return this.snap(this.analyzer.minimize(g, lo, hi));
+        };
+        if (inside) {
+            const touch = lowest(size);
+            if (closedAt(touch)) return [this.interval(a, true, b, true)];
+            return [
+                this.interval(a, true, touch, false),
+                this.interval(touch, false, b, true),
+            ];
+        }
+        if (kind === "nonnegative") {
+            const touch = lowest((x) => -size(x));
+            if (closedAt(touch)) {
+                return [this.interval(touch, true, touch, true)];
+            }
+        }
+        return [];
+    }
+
+    // Where to look at a run's values: evenly across a finite run, and at
+    // doubling distances out to DOMAIN_LIMIT along an infinite one, where
+    // the condition is taken to have settled
+    resolveSamples(a, b, count) {
+        if (isFinite(a) && isFinite(b)) {
+            const xs = [];
+            for (let i = 0; i < count; i++) xs.push(a + ((b - a) * i) / count);
+            return [...xs, b];
+        }
+
+        const origin = isFinite(a) ? a : isFinite(b) ? b : 0;
+        const outwards = [];
+        for (let step = 1; step <= DOMAIN_LIMIT; step *= 2) {
+            outwards.push(step);
+        }
+        const xs = [origin];
+        if (!isFinite(a))
+            xs.unshift(...outwards.map((step) => origin - step).reverse());
+        if (!isFinite(b)) xs.push(...outwards.map((step) => origin + step));
+        return xs;
+    }
+
+    // Bisect [lo, hi] down to where holds changes, then prefer an exact
+    // value such as 2 or π/2 within rounding of the result
+    boundary(holds, lo, hi) {
+        const inside = holds(lo);
+        for (let i = 0; i < 200; i++) {
+            const middle = (lo + hi) / 2;
+            if (middle <= lo || middle >= hi) break;
+            if (holds(middle) === inside) {
+                lo = middle;
+            } else {
+                hi = middle;
+            }
+        }
+        return this.snap((lo + hi) / 2);
+    }
+
+    snap(x) {
+        const exact = exactValue(x);
+        return exact ? exact.value : x;
+    }
+
+    interval(start, startClosed, end, endClosed) {
+        return {
+            start,
+            end,
+            startClosed: startClosed && isFinite(start),
+            endClosed: endClosed && isFinite(end),
+        };
+    }
+
+    // Bounds [lo, hi] on an expression's values while x ranges over the
+    // interval x, or null when it is defined nowhere there
+    enclose(node, x) {
+        switch (node.type) {
+            case "number":
+                return [node.value, node.value];
+            case "variable":
+                return node.name === "x" ? x : [-Infinity, Infinity];
+            case "constant":
+            case "parameter": {
+                const value = this.parser.evaluateNode(node, {});
+                return [value, value];
+            }
+            case "unary": {
+                const u = this.enclose(node.argument, x);
+                return u && [-u[1], -u[0]];
+            }
+            case "binary": {
+                const a = this.enclose(node.left, x);
+                const b = this.enclose(node.right, x);
+                if (!a || !b) return null;
+                switch (node.op) {
+                    case "+":
+                        return this.widen([a[0] + b[0], a[1] + b[1]]);
+                    case "-":
+                        return this.widen([a[0] - b[1], a[1] - b[0]]);
+                    case "*":
+                        return this.multiply(a, b);
+                    case "/": {
+                        const inverse = this.reciprocal(b);
+                        return inverse && this.multiply(a, inverse);
+                    }
+                    case "^":
+                        return this.power(a, b);
+                }
+                return [-Infinity, Infinity];
+            }
+            case "call": {
+                const args = node.args.map((arg) => this.enclose(arg, x));
+                if (args.some((arg) => !arg)) return null;
+                const bounds = this.functionBounds[node.name];
+                return bounds
+                    ? this.widen(bounds(...args))
+                    : [-Infinity, Infinity];
+            }
+            case "piecewise": {
+                const values = node.pieces
+                    .map((piece) => this.enclose(piece.value, x))
+                    .filter((bounds) => bounds);
+                if (values.length === 0) return null;
+                return [
+                    Math.min(...values.map((bounds) => bounds[0])),
+                    Math.max(...values.map((bounds) => bounds[1])),
+                ];
+            }
+            case "condition":
+                return [0, 1];
+        }
+        return [-Infinity, Infinity];
+    }
+
+    // Bounds with an undefined end, as from ∞ - ∞, opened up to infinity
+    widen(bounds) {
+        if (!bounds) return null;
+        const [lo, hi] = bounds;
+        return [
+            Number.isNaN(lo) ? -Infinity : lo,
+            Number.isNaN(hi) ? Infinity : hi,
+        ];
+    }
+
+    multiply(a, b) {
+        // 0 * ∞ is 0 at the ends of intervals
+        const products = [
+            a[0] * b[0],
+            a[0] * b[1],
+            a[1] * b[0],
+            a[1] * b[1],
+        ].map((product) => (Number.isNaN(product) ? 0 : product));
+        return [Math.min(...products), Math.max(...products)];
+    }
+
+    reciprocal(bounds) {
+        if (!bounds) return null;
+        const [lo, hi] = bounds;
+        if (lo > 0 || hi < 0) return [1 / hi, 1 / lo];
+        if (lo === 0 && hi === 0) return null;
+        if (lo === 0) return [1 / hi, Infinity];
+        if (hi === 0) return [-Infinity, 1 / lo];
+        return [-Infinity, Infinity];
+    }
+
+    power(a, b) {
+        if (b[0] === b[1] && Number.isInteger(b[0])) {
+            const n = b[0];
+            if (n < 0) return this.reciprocal(this.power(a, [-n, -n]));
+            const ends = [a[0] ** n, a[1] ** n];
+            if (n % 2 === 1) return ends;
+            if (a[0] <= 0 && a[1] >= 0) return [0, Math.max(...ends)];
+            return [Math.min(...ends), Math.max(...ends)];
+        }
+
+        // Otherwise only bases ≥ 0 count, and the power is monotonic in the
+        // base and in the exponent, so the extremes are at the corners
+        if (a[1] < 0) return null;
+        const base = [Math.max(a[0], 0), a[1]];
+        const corners = [
+            Math.pow(base[0], b[0]),
+            Math.pow(base[0], b[1]),
+            Math.pow(base[1], b[0]),
+            Math.pow(base[1], b[1]),
+        ].filter((corner) => !Number.isNaN(corner));
+        if (corners.length === 0) return [-Infinity, Infinity];
+        return [Math.min(...corners), Math.max(...corners)];
+    }
+
+    // Bounds of sin or cos, which peak at `peak` + 2nπ
+    waveBounds([lo, hi], f, peak) {
+        if (!(hi - lo < 2 * Math.PI)) return [-1, 1];
+        const contains = (x) =>
+            Math.ceil((lo - x) / (2 * Math.PI)) <= (hi - x) / (2 * Math.PI);
+        const ends = [f(lo), f(hi)];
+        return [
+            contains(peak + Math.PI) ? -1 : Math.min(...ends),
+            contains(peak) ? 1 : Math.max(...ends),
+        ];
+    }
+
+    tanBounds([lo, hi]) {
+        if (!(hi - lo < Math.PI)) return [-Infinity, Infinity];
+        const pole =
+            Math.PI / 2 + Math.ceil((lo - Math.PI / 2) / Math.PI) * Math.PI;
+        if (pole <= hi) return [-Infinity, Infinity];
+        return [Math.tan(lo), Math.tan(hi)];
+    }
+
+    // The period of an expression in x, 0 when it does not depend on x, or
+    // null when it is not periodic. Trigonometric functions of a*x + b set
+    // the periods, and combine when their ratio is a simple fraction
+    periodOf(node) {
+        switch (node.type) {
+            case "variable":
+                return node.name === "x" ? null : 0;
+            case "unary":
+                return this.periodOf(node.argument);
+            case "binary":
+                return this.commonPeriod(
+                    this.periodOf(node.left),
+                    this.periodOf(node.right)
+                );
+            case "call": {
+                const cycle = {
+                    sin: 2 * Math.PI,
+                    cos: 2 * Math.PI,
+                    sec: 2 * Math.PI,
+                    csc: 2 * Math.PI,
+                    tan: Math.PI,
+                    cot: Math.PI,
+                }[node.name];
+                if (cycle && node.args.length === 1) {
+                    const slope = this.linearSlope(node.args[0]);
+                    if (slope) return cycle / Math.abs(slope);
+                }
+                return node.args
+                    .map((arg) => this.periodOf(arg))
+                    .reduce((a, b) => this.commonPeriod(a, b), 0);
+            }
+            case "piecewise":
+            case "condition":
+                return dependsOn(node, "x") ? null : 0;
+        }
+        return 0;
+    }
+
+    // a for an expression equal to a*x + b with a ≠ 0, otherwise null
+    linearSlope(node) {
+        if (!dependsOn(node, "x")) return null;
+        const at = (x) => this.parser.evaluateNode(node, { x });
+        const origin = at(0);
+        const slope = at(1) - origin;
+        const near = (a, b) =>
+            Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+        const linear = [2, -2.5, 7.25].every((x) =>
+            near(at(x), origin + slope * x)
+        );
+        return linear && slope !== 0 && isFinite(slope) ? slope : null;
+    }
+
+    // The shortest period shared by two periods, or null
+    commonPeriod(a, b) {
+        if (a === null || b === null) return null;
+        if (a === 0 || b === 0) return a || b;
+        for (let n = 1; n <= 12; n++) {
+            const m = Math.round((a * n) / b);
+            if (m > 0 && Math.abs((a * n) / b - m) < 1e-9 * m) return a * n;
+        }
+        return null;
+    }
+
+    // Repeat a periodic pattern across [start, end]; null when that would
+    // take too many copies
+    tile(periodic, start, end) {
+        const { period, intervals } = periodic;
+        if ((end - start) / period > 200) return null;
+
+        const copies = [];
+        const first = Math.floor(start / period) - 1;
+        for (let n = first; n * period <= end; n++) {
+            for (const interval of intervals) {
+                const copy = this.analyzer.intersectIntervals(
+                    {
+                        ...interval,
+                        start: interval.start + n * period,
+                        end: interval.end + n * period,
+                    },
+                    this.interval(start, true, end, true)
+                );
+                if (copy) copies.push(copy);
+            }
+        }
+        return this.analyzer.mergeIntervals(copies);
+    }
+
+    intersectLists(a, b) {
+        const overlaps = [];
+        for (const first of a) {
+            for (const second of b) {
+                const overlap = this.analyzer.intersectIntervals(first, second);
+                if (overlap) overlaps.push(overlap);
+            }
+        }
+        return this.analyzer.mergeIntervals(overlaps);
+    }
+
+    intersect(a, b) {
+        let intervals = this.intersectLists(a.intervals, b.intervals);
+        let periodic = a.periodic || b.periodic;
+        if (a.periodic && b.periodic) {
+            const period = this.commonPeriod(
+                a.periodic.period,
+                b.periodic.period
+            );
+            if (!period) return null;
+            periodic = {
+                period,
+                intervals: this.intersectLists(
+                    this.tile(a.periodic, 0, period),
+                    this.tile(b.periodic, 0, period)
+                ),
+            };
+        }
+
+        // Within bounded intervals the pattern can be written out in full
+        const first = intervals[0];
+        const last = intervals[intervals.length - 1];
+        if (
+            periodic &&
+            (!first || (isFinite(first.start) && isFinite(last.end)))
+        ) {
+            const copies = first
+                ? this.tile(periodic, first.start, last.end)
+                : [];
+            if (copies) {
+                intervals = this.intersectLists(intervals, copies);
+                periodic = null;
+            }
+        }
+        return this.withRays({ intervals, periodic }, [
+            ...(a.excluded || []),
+            ...(b.excluded || []),
+        ]);
+    }
+
+    // Add rays of excluded points to a domain. The points a ray has in the
+    // bounded part of the domain are cut out of its intervals, so a ray
+    // only runs on along an unbounded end. Null when that takes too many
+    // cuts
+    withRays(domain, added) {
+        const { intervals } = domain;
+        const first = intervals[0];
+        const last = intervals[intervals.length - 1];
+        const points = [];
+        const kept = [];
+        for (const ray of intervals.length > 0 ? added : []) {
+            const down = ray.step < 0;
+            const open = down
+                ? first.start === -Infinity
+                : last.end === Infinity;
+            // Skip the points before the domain, then cut out those up to
+            // the unbounded end or the far end of the domain
+            const near = down ? last.end : first.start;
+            const stop = down
+                ? open
+                    ? first.end
+                    : first.start
+                : open
+                ? last.start
+                : last.end;
+            let k = Math.max(0, Math.ceil((near - ray.from) / ray.step));
+            let x = this.snap(ray.from + k * ray.step);
+            for (; down ? x >= stop : x <= stop; k++) {
+                if (points.length >= 1000) return null;
+                points.push(x);
+                x = this.snap(ray.from + (k + 1) * ray.step);
+            }
+            if (open) kept.push({ from: x, step: ray.step });
+        }
+
+        const cut =
+            points.length > 0
+                ? this.intersectLists(
+                      intervals,
+                      this.gaps(
+                          points
+                              .sort((a, b) => a - b)
+                              .map((x) => this.interval(x, true, x, true))
+                      )
+                  )
+                : intervals;
+        // A ray that another one covers, like that of gamma(x/2) within
+        // that of gamma(x), is dropped
+        const rays = kept.filter(
+            (ray, i) =>
+                !kept.some(
+                    (other, j) =>
+                        j !== i &&
+                        this.covers(other, ray) &&
+                        (j < i || !this.covers(ray, other))
+                )
+        );
+        const result = { intervals: cut, periodic: domain.periodic };
+        return rays.length > 0 ? { ...result, excluded: rays } : result;
+    }
+
+    // Whether every point of one ray is a point of another
+    covers(ray, other) {
+        return (
+            this.wholeMultiple(other.step / ray.step) &&
+            this.onRay(ray, other.from)
+        );
+    }
+
+    onRay(ray, x) {
+        return this.wholeMultiple((x - ray.from) / ray.step);
+    }
+
+    // Whether k is 0, 1, 2, … up to rounding
+    wholeMultiple(k) {
+        return k > -1e-9 && Math.abs(k - Math.round(k)) < 1e-9 * Math.max(1, k);
+    }
+
+    // The first count points of a ray
+    rayPoints(ray, count) {
+        const points = [];
+        for (let k = 0; k < count; k++) {
+            points.push(this.snap(ray.from + k * ray.step));
+        }
+        return points;
+    }
+
+    // Union of two domains. Patterns only join other patterns or the
+    // whole line, and a ray of excluded points only stays where the other
+    // domain does not reach it
+    union(a, b) {
+        if (a.intervals.length === 0) return b;
+        if (b.intervals.length === 0) return a;
+        const rays = [...(a.excluded || []), ...(b.excluded || [])];
+        if (rays.length > 0) {
+            const reached = [a, b].some((domain) =>
+                domain.intervals.some((interval) =>
+                    rays.some(
+                        (ray) =>
+                            !(domain.excluded || []).includes(ray) &&
+                            (ray.step < 0
+                                ? interval.start <= ray.from
+                                : interval.end >= ray.from)
+                    )
+                )
+            );
+            if (reached || a.periodic || b.periodic) return null;
+        }
+        if (!a.periodic && !b.periodic) {
+            const intervals = [...a.intervals, ...b.intervals];
+            return this.withRays(
+                {
+                    intervals: this.analyzer.mergeIntervals(intervals),
+                    periodic: null,
+                },
+                rays
+            );
+        }
+
+        const line = [a, b].find(
+            (domain) => !domain.periodic && this.isLine(domain.intervals)
+        );
+        if (line) return line;
+        if (![a, b].every((domain) => this.isLine(domain.intervals))) {
+            return null;
+        }
+        const period =
+            a.periodic && b.periodic
+                ? this.commonPeriod(a.periodic.period, b.periodic.period)
+                : null;
+        if (!period) return null;
+        return this.repeating(
+            period,
+            this.analyzer.mergeIntervals([
+                ...this.tile(a.periodic, 0, period),
+                ...this.tile(b.periodic, 0, period),
+            ])
+        );
+    }
+
+    complement(domain) {
+        if (domain.excluded) return null;
+        if (!domain.periodic) {
+            return { intervals: this.gaps(domain.intervals), periodic: null };
+        }
+        if (!this.isLine(domain.intervals)) return null;
+        const { period, intervals } = domain.periodic;
+        return this.repeating(period, this.gaps(intervals, 0, period));
+    }
+
+    // The parts of [start, end] that sorted intervals leave out
+    gaps(intervals, start = -Infinity, end = Infinity) {
+        const gaps = [];
+        let from = start;
+        let fromClosed = true;
+        for (const interval of intervals) {
+            gaps.push(
+                this.interval(
+                    from,
+                    fromClosed,
+                    interval.start,
+                    !interval.startClosed
+                )
+            );
+            from = interval.end;
+            fromClosed = !interval.endClosed;
+        }
+        gaps.push(this.interval(from, fromClosed, end, true));
+        return gaps.filter((gap) => this.nonEmpty(gap));
+    }
+
+    nonEmpty(interval) {
+        return (
+            interval.start < interval.end ||
+            (interval.startClosed && interval.endClosed)
+        );
+    }
+
+    isLine(intervals) {
+        return (
+            intervals.length === 1 &&
+            intervals[0].start === -Infinity &&
+            intervals[0].end === Infinity
+        );
+    }
+
+    // The domain where x lies in a pattern within [0, period] repeated along
+    // the whole line
+    repeating(period, intervals) {
+        if (intervals.length === 0) return { intervals, periodic: null };
+        // 0 and the period are the same point of the pattern
+        const first = intervals[0];
+        const last = intervals[intervals.length - 1];
+        if (last.end === period) {
+            last.endClosed = first.start === 0 && first.startClosed;
+        }
+        // Holding across a whole period, it holds everywhere
+        if (first.startClosed && first.end === period && first.endClosed) {
+            return this.wholeLine();
+        }
+        return {
+            intervals: [this.analyzer.realLine()],
+            periodic: { period, intervals },
+        };
+    }
+
+    // Describe a domain in interval notation, with a repeating pattern as
+    // x ≠ π/2 + nπ or x ∈ [2nπ, π + 2nπ]
+    describe(domain) {
+        const { intervals, periodic, excluded } = domain;
+        const line = this.isLine(intervals);
+        // Points left out all along one end, as x ≠ 0, -1, -2, …
+        if (excluded) {
+            const points = excluded
+                .map(
+                    (ray) =>
+                        `x ≠ ${this.rayPoints(ray, 3)
+                            .map((x) => formatExact(x))
+                            .join(", ")}, …`
+                )
+                .join(" and ");
+            if (line && !periodic) return points;
+            const rest = this.describe({ intervals, periodic });
+            return `${periodic ? rest : `x ∈ ${rest}`} and ${points}`;
+        }
+        if (!periodic) {
+            if (intervals.length === 0)
+                return "Empty (no x satisfies the conditions)";
+            return line
+                ? "All real numbers (ℝ)"
+                : this.formatIntervals(intervals);
+        }
+
+        // Points such as the 0 in x*sin(x) that the pattern leaves out too
+        const gaps = this.patternGaps(Infinity, intervals);
+        const pattern = this.formatPattern(periodic);
+        if (
+            line ||
+            (gaps && gaps.every((point) => !this.inPattern(periodic, point)))
+        ) {
+            return pattern;
+        }
+        return `x ∈ ${this.formatIntervals(intervals)} and ${pattern}`;
+    }
+
+    // Whether a periodic pattern includes x
+    inPattern({ period, intervals }, x) {
+        const t = x - Math.floor(x / period) * period;
+        const tolerance = 1e-9 * period;
+        return [t, t + period, t - period].some((t) =>
+            intervals.some(
+                (interval) =>
+                    (t > interval.start + tolerance &&
+                        t < interval.end - tolerance) ||
+                    (interval.startClosed &&
+                        Math.abs(t - interval.start) <= tolerance) ||
+                    (interval.endClosed &&
+                        Math.abs(t - interval.end) <= tolerance)
+            )
+        );
+    }
+
+    formatIntervals(intervals) {
+        const shown = intervals.length > 8 ? intervals.slice(0, 6) : intervals;
+        const text = shown
+            .map((interval) => {
+                const start = formatExact(interval.start);
+                if (interval.start === interval.end) return `{${start}}`;
+                const open = interval.startClosed ? "[" : "(";
+                const close = interval.endClosed ? "]" : ")";
+                return `${open}${start}, ${formatExact(interval.end)}${close}`;
+            })
+            .join(" ∪ ");
+        return shown.length < intervals.length ? `${text} ∪ …` : text;
+    }
+
+    // A pattern missing only single points reads x ≠ a + nP, with points
+    // evenly spread across a period folded into one family
+    formatPattern({ period, intervals }) {
+        const offset = (value, step) => this.repeatText(value, step);
+        // A pattern of single points, as gcd(x, 4) is defined at, reads
+        // x = a + nP
+        if (intervals.every((interval) => interval.start === interval.end)) {
+            return `x = ${intervals
+                .map((interval) => offset(interval.start, period))
+                .join(", ")}, n ∈ ℤ`;
+        }
+        const points = this.patternGaps(period, intervals);
+        if (points) {
+            const spacing = period / points.length;
+            const even = points.every(
+                (point, i) =>
+                    Math.abs(point - points[0] - i * spacing) < 1e-9 * period
+            );
+            if (even) return `x ≠ ${offset(points[0], spacing)}, n ∈ ℤ`;
+            return `x ≠ ${points
+                .map((point) => offset(point, period))
+                .join(", ")}, n ∈ ℤ`;
+        }
+
+        // An interval running over the end of the period continues at 0
+        let parts = [...intervals];
+        const first = parts[0];
+        const last = parts[parts.length - 1];
+        if (
+            parts.length > 1 &&
+            first.start === 0 &&
+            last.end === period &&
+            (first.startClosed || last.endClosed)
+        ) {
+            parts = [
+                {
+                    ...last,
+                    start: last.start - period,
+                    end: first.end,
+                    endClosed: first.endClosed,
+                },
+                ...parts.slice(1, -1),
+            ];
+        }
+        const text = parts
+            .map((interval) => {
+                const open = interval.startClosed ? "[" : "(";
+                const close = interval.endClosed ? "]" : ")";
+                return `${open}${offset(interval.start, period)}, ${offset(
+                    interval.end,
+                    period
+                )}${close}`;
+            })
+            .join(" ∪ ");
+        return `x ∈ ${text}, n ∈ ℤ`;
+    }
+
+    // A value repeating every step, written a + nP
+    repeatText(value, step) {
+        const steps = formatExact(step).replace(
+            /^(\d+(?:\.\d+)?)?(.*)$/,
+            (match, digits = "", rest) =>
+                `${digits === "1" ? "" : digits}n${rest}`
+        );
+        return value === 0 ? steps : `${formatExact(value)} + ${steps}`;
+    }
+
+    // The points intervals leave out of [0, period), when they cover the
+    // rest of it; otherwise null. With an infinite period, the points they
+    // leave out of the whole line
+    patternGaps(period, intervals) {
+        if (intervals.length === 0) return null;
+        const first = intervals[0];
+        const last = intervals[intervals.length - 1];
+        const start = isFinite(period) ? 0 : -Infinity;
+        if (first.start !== start || last.end !== period) return null;
+
+        const points = [];
+        if (start === 0 && !first.startClosed && !last.endClosed) {
+            points.push(0);
+        }
+        for (let i = 0; i + 1 < intervals.length; i++) {
+            if (intervals[i].end !== intervals[i + 1].start) return null;
+            points.push(intervals[i].end);
+        }
+        return points.length > 0 ? points : null;
+    }
+}
+
+// Nodes and weights of the 15-point Kronrod rule on [-1, 1] and of the
+// 7-point Gauss rule embedded in it (which uses the odd-indexed nodes)
+const kronrodNodes = [
+    0.991455371120812639, 0.949107912342758525, 0.864864423359769073,
+    0.74153118559939444, 0.58608723546769113, 0.405845151377397167,
+    0.207784955007898468, 0,
+];
+const kronrodWeights = [
+    0.022935322010529225, 0.063092092629978553, 0.104790010322250184,
+    0.140653259715525919, 0.169004726639267903, 0.19035057806478541,
+    0.204432940075298892, 0.209482141084727828,
+];
+const gaussWeights = [
+    0.129484966168869693, 0.279705391489276668, 0.381830050505118945,
+    0.417959183673469388,
+];
+
+// Function analyzer for mathematical properties
+class FunctionAnalyzer {
+    constructor(parser) {
+        this.parser = parser;
+        this.differentiator = new Differentiator(parser);
+        this.domains = new DomainSolver(parser, this);
+    }
+
+    analyzeFunction(func) {
+        const analysis = {
+            isFunction: true,
+            isOdd: null,
+            isEven: null,
+            isOneToOne: null,
+            domain: null,
+            range: null,
+            extrema: null,
+            asymptotes: null,
+            holes: null,
+            derivatives: { first: null, second: null },
+            properties: [],
+        };
+
+        try {
+            analysis.derivatives = this.findDerivatives(func);
+
+            // Test if it's a function (passes vertical line test)
+            analysis.isFunction = this.isFunction(func);
+
+            if (analysis.isFunction) {
+                // Test for odd/even properties
+                const symmetry = this.checkSymmetry(func);
+                analysis.isOdd = symmetry.isOdd;
+                analysis.isEven = symmetry.isEven;
+
+                // Test for one-to-one (injective)
+                analysis.isOneToOne = this.isOneToOne(func);
+
+                // Analyze domain and range
+                const domainRange = this.analyzeDomainRange(
+                    func,
+                    analysis.derivatives.first
+                );
+                analysis.domain = domainRange.domain;
+                analysis.range = domainRange.range;
+                analysis.extrema = domainRange.extrema;
+                const breaks = this.analyzeDiscontinuities(func);
+                analysis.asymptotes = {
+                    vertical: breaks.vertical,
+                    lines: this.endAsymptotes(func),
+                };
+                analysis.holes = breaks.holes;
+
+                // Build properties array
+                if (analysis.isEven) analysis.properties.push("Even");
+                if (analysis.isOdd) analysis.properties.push("Odd");
+                if (analysis.isOneToOne) analysis.properties.push("One-to-One");
+                if (!analysis.isEven && !analysis.isOdd)
+                    analysis.properties.push("Neither Even nor Odd");
+            }
+        } catch (error) {
+            console.error("Analysis error:", error);
+        }
+
+        return analysis;
+    }
+
+    findDerivatives(func) {
+        try {
+            const first = this.differentiator.derive(func);
+            const second = this.differentiator.derive(first);
+            return { first, second };
+        } catch (error) {
+            return { first: null, second: null };
+        }
+    }
+
+    // Evaluate func at evenly spaced points across [xMin, xMax]
+    sampleRange(func, xMin, xMax, count) {
+        const samples = [];
+        for (let i = 0; i <= count; i++) {
+            const x = xMin + ((xMax - xMin) * i) / count;
+            samples.push({ x, y: this.parser.evaluate(func, x) });
+        }
+        return samples;
+    }
+
+    // Find x in [xMin, xMax] where func is zero: bracket sign changes between
+    // samples and refine them with Brent's method. By default a bracket only
+    // counts when |func| shrinks towards the root, which rejects poles such as
+    // tan(x) at π/2; `accept` replaces that test. With `touching`, roots that
+    // only touch zero (x^2 at 0) are found by minimizing |func| instead.
+    findRoots(func, xMin, xMax, options = {}) {
+        const { accept = null, touching = true, derivative = null } = options;
+        const samples = this.sampleRange(func, xMin, xMax, 500);
+        const roots = [];
+
+        // Values this small are rounding noise, e.g. f″ of abs(x)
+        const isZero = (y) => Math.abs(y) < 1e-12;
+        if (samples.every((sample) => isZero(sample.y))) return roots;
+
+        for (let i = 0; i < samples.length - 1; i++) {
+            const a = samples[i];
+            const b = samples[i + 1];
+
+            // A sign change across a single undefined sample, like x/abs(x)
+            // at 0, is a candidate only when `accept` can judge it
+            if (accept && isFinite(a.y) && !isFinite(b.y)) {
+                const c = samples[i + 2];
+                if (c && isFinite(c.y) && a.y * c.y < 0 && accept(b.x, b.y)) {
+                    roots.push(b.x);
+                }
+                continue;
+            }
+            if (!isFinite(a.y) || !isFinite(b.y)) continue;
+
+            if (isZero(a.y)) {
+                // Sampled exactly on a root; ignore flat runs like floor(x)
+                const before = samples[i - 1];
+                if ((before && isZero(before.y)) || isZero(b.y)) continue;
+                const crosses = before && before.y * b.y < 0;
+                if ((crosses || touching) && (!accept || accept(a.x, a.y))) {
+                    roots.push(a.x);
+                }
+                continue;
+            }
+            if (isZero(b.y) || a.y * b.y > 0) continue;
+
+            let x = this.brent(func, a.x, b.x, a.y, b.y);
+            if (derivative) {
+                x = this.newtonPolish(func, derivative, x, a.x, b.x);
+            }
+            const y = this.parser.evaluate(func, x);
+            const isRoot = accept
+                ? accept(x, y)
+                : Math.abs(y) < Math.min(Math.abs(a.y), Math.abs(b.y));
+            if (isRoot) roots.push(x);
+        }
+
+        const last = samples[samples.length - 1];
+        const beforeLast = samples[samples.length - 2];
+        if (touching && isZero(last.y) && !isZero(beforeLast.y)) {
+            roots.push(last.x);
+        }
+
+        if (touching) {
+            const largest = Math.max(
+                ...samples
+                    .filter((s) => isFinite(s.y))
+                    .map((s) => Math.abs(s.y))
+            );
+            const tolerance = 1e-9 * (1 + largest);
+
+            for (let i = 1; i < samples.length - 1; i++) {
+                const [a, b, c] = [samples[i - 1], samples[i], samples[i + 1]];
+                if (![a.y, b.y, c.y].every((y) => isFinite(y))) continue;
+                // Only local minima of |f| that stay on one side of zero
+                if (a.y * c.y <= 0 || a.y * b.y <= 0) continue;
+                if (
+                    Math.abs(b.y) > Math.abs(a.y) ||
+                    Math.abs(b.y) > Math.abs(c.y)
+                ) {
+                    continue;
+                }
+
+                const x = this.minimize(
+                    (t) => Math.abs(this.parser.evaluate(func, t)),
+                    a.x,
+                    c.x
+                );
+                if (Math.abs(this.parser.evaluate(func, x)) < tolerance) {
+                    roots.push(x);
+                }
+            }
+        }
+
+        return this.dedupe(roots, (xMax - xMin) * 1e-6);
+    }
+
+    // Brent's method on a bracket [a, b] where fa and fb have opposite signs
+    brent(func, a, b, fa, fb) {
+        const tolerance = 1e-14 * Math.max(1, Math.abs(a), Math.abs(b));
+        let c = a;
+        let fc = fa;
+        let d = b - a;
+        let e = d;
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            if (fb * fc > 0) {
+                c = a;
+                fc = fa;
+                d = b - a;
+                e = d;
+            }
+            if (Math.abs(fc) < Math.abs(fb)) {
+                a = b;
+                b = c;
+                c = a;
+                fa = fb;
+                fb = fc;
+                fc = fa;
+            }
+
+            const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+            const middle = (c - b) / 2;
+            if (Math.abs(middle) <= tol || fb === 0) return b;
+
+            if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+                // Try inverse quadratic interpolation or the secant step
+                const s = fb / fa;
+                let p;
+                let q;
+                if (a === c) {
+                    p = 2 * middle * s;
+                    q = 1 - s;
+                } else {
+                    const r = fb / fc;
+                    const t = fa / fc;
+                    p = s * (2 * middle * t * (t - r) - (b - a) * (r - 1));
+                    q = (t - 1) * (r - 1) * (s - 1);
+                }
+                if (p > 0) q = -q;
+                p = Math.abs(p);
+
+                if (
+                    2 * p <
+                    Math.min(
+                        3 * middle * q - Math.abs(tol * q),
+                        Math.abs(e * q)
+                    )
+                ) {
+                    e = d;
+                    d = p / q;
+                } else {
+                    d = middle;
+                    e = d;
+                }
+            } else {
+                // Fall back to bisection
+                d = middle;
+                e = d;
+            }
+
+            a = b;
+            fa = fb;
+            b += Math.abs(d) > tol ? d : Math.sign(middle) * tol;
+            fb = this.parser.evaluate(func, b);
+            if (!isFinite(fb)) return b;
+        }
+
+        return b;
+    }
+
+    // One Newton step from x, kept only if it stays in [a, b] and improves |f|
+    newtonPolish(func, derivative, x, a, b) {
+        const y = this.parser.evaluate(func, x);
+        const slope = this.parser.evaluate(derivative, x);
+        if (!isFinite(slope) || slope === 0) return x;
+
+        const next = x - y / slope;
+        const nextY = this.parser.evaluate(func, next);
+        if (
+            next >= Math.min(a, b) &&
+            next <= Math.max(a, b) &&
+            Math.abs(nextY) < Math.abs(y)
+        ) {
+            return next;
+        }
+        return x;
+    }
+
+    // Golden-section search for the minimum of g on [a, b]
+    minimize(g, a, b) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+
+        for (let iteration = 0; iteration < 80; iteration++) {
+            if (g(c) < g(d)) {
+                b = d;
+            } else {
+                a = c;
+            }
+            c = b - ratio * (b - a);
+            d = a + ratio * (b - a);
+        }
+
+        return (a + b) / 2;
+    }
+
+    // Sort values and merge those closer than the tolerance
+    dedupe(values, tolerance) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted.filter(
+            (value, i) => i === 0 || value - sorted[i - 1] > tolerance
+        );
+    }
+
+    // Whether func is finite at x and has no jump there
+    isContinuousAt(func, x, h) {
+        const y = this.parser.evaluate(func, x);
+        const left = this.parser.evaluate(func, x - h);
+        const right = this.parser.evaluate(func, x + h);
+        if (!isFinite(y) || !isFinite(left) || !isFinite(right)) return false;
+
+        const tolerance = 1e-3 * (1 + Math.abs(y));
+        return (
+            Math.abs(left - y) < tolerance && Math.abs(right - y) < tolerance
+        );
+    }
+
+    // Poles of func in [xMin, xMax]: the given candidates plus local peaks
+    // of |func| in a sampled scan and lone samples that land on a point
+    // where func is undefined, such as gamma(x) at -1, each kept only if
+    // func really blows up
+    findPoles(func, xMin, xMax, candidates = []) {
+        const samples = this.sampleRange(func, xMin, xMax, 2000);
+        const step = (xMax - xMin) / 2000;
+        const magnitude = (x) => {
+            const y = Math.abs(this.parser.evaluate(func, x));
+            return Number.isNaN(y) ? 0 : -y;
+        };
+
+        const peaks = [...candidates];
+        for (let i = 1; i + 1 < samples.length; i++) {
+            const y = Math.abs(samples[i].y);
+            if (
+                Number.isNaN(y) &&
+                isFinite(samples[i - 1].y) &&
+                isFinite(samples[i + 1].y)
+            ) {
+                peaks.push(samples[i].x);
+            } else if (
+                y > Math.abs(samples[i - 1].y) &&
+                y > Math.abs(samples[i + 1].y)
+            ) {
+                const x = samples[i].x;
+                peaks.push(this.minimize(magnitude, x - step, x + step));
+            }
+        }
+
+        return this.dedupe(
+            peaks.filter((x) => this.isPole(func, x, step * 1e-3)),
+            step
+        );
+    }
+
+    // Whether func blows up next to x rather than having a hole there:
+    // |func| must keep growing as x is approached from one side
+    isPole(func, x, h) {
+        for (const side of [-1, 1]) {
+            const near = Math.abs(this.parser.evaluate(func, x + side * h));
+            const nearer = Math.abs(
+                this.parser.evaluate(func, x + side * h * 1e-3)
+            );
+            if (nearer === Infinity || nearer > 1.2 * near + 1e-9) return true;
+        }
+        return false;
+    }
+
+    // Intercepts, local extrema and inflection points of func in [xMin, xMax]
+    findKeyPoints(func, derivatives, xMin, xMax) {
+        const h = (xMax - xMin) * 1e-7;
+        const point = (kind, x) => ({
+            kind,
+            x,
+            y: this.parser.evaluate(func, x),
+        });
+        const points = [];
+
+        for (const x of this.findRoots(func, xMin, xMax, {
+            derivative: derivatives.first,
+        })) {
+            points.push({ ...point("zero", x), y: 0 });
+        }
+
+        const yIntercept = this.parser.evaluate(func, 0);
+        if (xMin <= 0 && xMax >= 0 && isFinite(yIntercept)) {
+            points.push(point("y-intercept", 0));
+        }
+
+        if (derivatives.first) {
+            // Sign changes of f′ where f itself is continuous; this keeps
+            // corners like abs(x) at 0 but drops poles like 1/x^2 at 0
+            const extrema = this.findRoots(derivatives.first, xMin, xMax, {
+                touching: false,
+                derivative: derivatives.second,
+                accept: (x) => this.isContinuousAt(func, x, h),
+            });
+            const step = (xMax - xMin) * 1e-4;
+            for (const x of extrema) {
+                const y = this.parser.evaluate(func, x);
+                const left = this.parser.evaluate(func, x - step);
+                const right = this.parser.evaluate(func, x + step);
+                if (y >= left && y >= right) points.push(point("maximum", x));
+                else if (y <= left && y <= right)
+                    points.push(point("minimum", x));
+            }
+        }
+
+        if (derivatives.second) {
+            const inflections = this.findRoots(derivatives.second, xMin, xMax, {
+                touching: false,
+                accept: (x) =>
+                    this.isContinuousAt(func, x, h) &&
+                    this.isContinuousAt(derivatives.first, x, h),
+            });
+            for (const x of inflections) {
+                points.push(point("inflection", x));
+            }
+        }
+
+        return points;
+    }
+
+    // Points in [xMin, xMax] where the curves of f and g cross or touch
+    findIntersections(f, g, xMin, xMax) {
+        const difference = (x) =>
+            this.parser.evaluate(f, x) - this.parser.evaluate(g, x);
+        return this.findRoots(difference, xMin, xMax).map((x) => ({
+            kind: "intersection",
+            x,
+            y: this.parser.evaluate(f, x),
+        }));
+    }
+
+    // Definite integral of f − g (of f alone when g is null) from a to b.
+    // The interval is cut at the breakpoints, and ends that sit on a pole or
+    // at ±Infinity are approached as limits so divergence can be reported
+    integrate(f, g, a, b, breakpoints = []) {
+        if (a === b) return { value: 0, status: "ok" };
+        if (a > b) {
+            const result = this.integrate(f, g, b, a, breakpoints);
+            return { ...result, value: -result.value };
+        }
+
+        const integrand = (x) =>
+            this.parser.evaluate(f, x) - (g ? this.parser.evaluate(g, x) : 0);
+        const inside = breakpoints.filter((x) => x > a && x < b);
+        const cuts = [a, ...this.dedupe(inside, 0), b];
+        const isLimit = (x) =>
+            !isFinite(x) || inside.includes(x) || !isFinite(integrand(x));
+
+        let value = 0;
+        let error = 0;
+        let improper = false;
+        for (let i = 0; i + 1 < cuts.length; i++) {
+            const p = cuts[i];
+            const q = cuts[i + 1];
+            const pieces = [];
+            if (isLimit(p) && isLimit(q)) {
+                // Split so that each piece has at most one limiting end
+                let middle = (p + q) / 2;
+                if (!isFinite(p) && !isFinite(q)) middle = 0;
+                else if (!isFinite(p)) middle = q - 1;
+                else if (!isFinite(q)) middle = p + 1;
+                pieces.push([p, middle, "left"], [middle, q, "right"]);
+            } else {
+                const side = isLimit(p) ? "left" : isLimit(q) ? "right" : null;
+                pieces.push([p, q, side]);
+            }
+
+            for (const [from, to, side] of pieces) {
+                if (!this.isDefinedOn(integrand, from, to)) {
+                    return { status: "undefined" };
+                }
+                const piece = this.integratePiece(integrand, from, to, side);
+                if (!isFinite(piece.value)) return piece;
+                if (piece.status === "improper") improper = true;
+                value += piece.value;
+                error += piece.error;
+            }
+        }
+
+        return { value, error, status: improper ? "improper" : "ok" };
+    }
+
+    // Whether integrand is defined on [p, q] apart from isolated points;
+    // infinite ends are sampled through x = p + t / (1 − t)
+    isDefinedOn(integrand, p, q) {
+        const count = 200;
+        let undefinedRun = 0;
+        for (let i = 1; i < count; i++) {
+            const t = i / count;
+            const x =
+                p === -Infinity
+                    ? q - (1 - t) / t
+                    : q === Infinity
+                    ? p + t / (1 - t)
+                    : p + t * (q - p);
+            if (!Number.isNaN(integrand(x))) {
+                undefinedRun = 0;
+            } else if (++undefinedRun > 1) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Integral over [p, q] where side names the end, if any, that must be
+    // approached as a limit. The limit is built from increments over
+    // shrinking (or, towards ±Infinity, growing) decades
+    integratePiece(integrand, p, q, side) {
+        if (!side) {
+            const result = this.integrateAdaptive(integrand, p, q);
+            return isFinite(result.value)
+                ? { ...result, status: "ok" }
+                : { status: "divergent" };
+        }
+
+        const edge = (k) => {
+            if (side === "left") {
+                return p === -Infinity ? q - 10 ** k : p + (q - p) * 10 ** -k;
+            }
+            return q === Infinity ? p + 10 ** k : q - (q - p) * 10 ** -k;
+        };
+
+        const increments = [];
+        let previous = side === "left" ? q : p;
+        for (let k = 0; k <= 10; k++) {
+            const next = edge(k);
+            increments.push(
+                side === "left"
+                    ? this.integrateAdaptive(integrand, next, previous)
+                    : this.integrateAdaptive(integrand, previous, next)
+            );
+            previous = next;
+        }
+        return this.limitOf(increments);
+    }
+
+    // Sum of a series of increments, extrapolated when they shrink
+    // geometrically and reported as divergent when they do not. Increments
+    // the quadrature could not resolve leave the limit undecided
+    limitOf(increments) {
+        const total = increments.reduce((sum, d) => sum + d.value, 0);
+        const error = increments.reduce((sum, d) => sum + d.error, 0);
+        if (!isFinite(total)) return { status: "divergent" };
+
+        const scale = 1 + Math.abs(total);
+        const tail = increments.slice(-3);
+        if (tail.some((d) => d.error > 1e-3 * scale)) {
+            return { status: "unresolved" };
+        }
+
+        const last = tail.map((d) => Math.abs(d.value));
+        if (Math.max(...last) < 1e-7 * scale) {
+            return { value: total, error, status: "improper" };
+        }
+
+        const ratios = [last[1] / last[0], last[2] / last[1]];
+        if (ratios.every((r) => r < 0.8)) {
+            const r = Math.max(...ratios);
+            const rest = (tail[2].value * r) / (1 - r);
+            return {
+                value: total + rest,
+                error: error + Math.abs(rest) * r,
+                status: "improper",
+            };
+        }
+        return { status: "divergent" };
+    }
+
+    // Adaptive 7–15 point Gauss–Kronrod quadrature. Intervals are bisected
+    // until the Gauss and Kronrod estimates agree, within a fixed budget
+    integrateAdaptive(integrand, a, b) {
+        let budget = 2000;
+        const recurse = (a, b, tolerance, depth) => {
+            const estimate = this.gaussKronrod(integrand, a, b);
+            budget--;
+            if (
+                (isFinite(estimate.value) && estimate.error <= tolerance) ||
+                depth >= 40 ||
+                budget <= 0
+            ) {
+                return estimate;
+            }
+            const middle = (a + b) / 2;
+            const left = recurse(a, middle, tolerance / 2, depth + 1);
+            const right = recurse(middle, b, tolerance / 2, depth + 1);
+            return {
+                value: left.value + right.value,
+                error: left.error + right.error,
+            };
+        };
+
+        const estimate = this.gaussKronrod(integrand, a, b).value;
+        const scale = isFinite(estimate) ? Math.abs(estimate) : 0;
+        return recurse(a, b, 1e-10 * (1 + scale), 0);
+    }
+
+    gaussKronrod(integrand, a, b) {
+        const center = (a + b) / 2;
+        const half = (b - a) / 2;
+        const middle = integrand(center);
+        let kronrod = middle * kronrodWeights[7];
+        let gauss = middle * gaussWeights[3];
+
+        for (let j = 0; j < 7; j++) {
+            const offset = half * kronrodNodes[j];
+            const pair =
+                integrand(center - offset) + integrand(center + offset);
+            kronrod += kronrodWeights[j] * pair;
+            if (j % 2 === 1) gauss += gaussWeights[(j - 1) / 2] * pair;
+        }
+
+        return {
+            value: kronrod * half,
+            error: Math.abs((kronrod - gauss) * half),
+        };
+    }
+
+    // Left, right, midpoint or trapezoid sum of f − g with n slices
+    riemannSum(f, g, a, b, n, method) {
+        const height = (x) =>
+            this.parser.evaluate(f, x) - (g ? this.parser.evaluate(g, x) : 0);
+        const width = (b - a) / n;
+        const slices = [];
+        let value = 0;
+
+        for (let i = 0; i < n; i++) {
+            const left = a + i * width;
+            const right = a + (i + 1) * width;
+            let x = left;
+            if (method === "right") x = right;
+            else if (method === "midpoint") x = (left + right) / 2;
+            else if (method === "trapezoid") x = null;
+
+            value +=
+                x === null
+                    ? ((height(left) + height(right)) / 2) * width
+                    : height(x) * width;
+            slices.push({ left, right, x });
+        }
+
+        return { value, slices };
+    }
+
+    // Line segments [x1, y1, x2, y2] approximating relation(x, y) = 0 in
+    // the window, by marching squares on a columns × rows grid. Cells where
+    // the sign changes, or that come close to zero, are split into quarters
+    // up to depth times, so only the neighbourhood of the curve is refined
+    traceRelation(relation, bounds, columns, rows, depth = 3) {
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const width = (xMax - xMin) / columns;
+        const height = (yMax - yMin) / rows;
+        const segments = [];
+
+        const grid = [];
+        for (let j = 0; j <= rows; j++) {
+            const row = [];
+            for (let i = 0; i <= columns; i++) {
+                row.push(relation(xMin + i * width, yMin + j * height));
+            }
+            grid.push(row);
+        }
+
+        // Corner values run counter-clockwise from the bottom left
+        const cell = (x, y, w, h, corners, level) => {
+            const finite = corners.filter(isFinite);
+            if (finite.length === 0) return;
+
+            const positive = finite.filter((v) => v > 0).length;
+            const changes = positive > 0 && positive < finite.length;
+            const low = Math.min(...finite.map(Math.abs));
+            const spread = Math.max(...finite) - Math.min(...finite);
+            const near = low < spread / 2;
+
+            if (level < depth && (changes || near || finite.length < 4)) {
+                const midX = x + w / 2;
+                const midY = y + h / 2;
+                const [v0, v1, v2, v3] = corners;
+                const bottom = relation(midX, y);
+                const right = relation(x + w, midY);
+                const top = relation(midX, y + h);
+                const left = relation(x, midY);
+                const center = relation(midX, midY);
+                const next = level + 1;
+                cell(x, y, w / 2, h / 2, [v0, bottom, center, left], next);
+                cell(midX, y, w / 2, h / 2, [bottom, v1, right, center], next);
+                cell(midX, midY, w / 2, h / 2, [center, right, v2, top], next);
+                cell(x, midY, w / 2, h / 2, [left, center, top, v3], next);
+                return;
+            }
+
+            if (finite.length === 4 && changes) {
+                this.marchCell(relation, x, y, w, h, corners, segments);
+            }
+        };
+
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < columns; i++) {
+                const corners = [
+                    grid[j][i],
+                    grid[j][i + 1],
+                    grid[j + 1][i + 1],
+                    grid[j + 1][i],
+                ];
+                cell(
+                    xMin + i * width,
+                    yMin + j * height,
+                    width,
+                    height,
+                    corners,
+                    0
+                );
+            }
+        }
+
+        return segments;
+    }
+
+    // Rectangles [x1, y1, x2, y2] covering the region where inside(x, y)
+    // holds, sampled at the corners of a columns x rows grid. Cells whose
+    // corners disagree are split down to depth levels, so the shading stays
+    // sharp along the edge of the region
+    regionRectangles(inside, bounds, columns, rows, depth = 2) {
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const width = (xMax - xMin) / columns;
+        const height = (yMax - yMin) / rows;
+        const rectangles = [];
+
+        const grid = [];
+        for (let j = 0; j <= rows; j++) {
+            const row = [];
+            for (let i = 0; i <= columns; i++) {
+                row.push(inside(xMin + i * width, yMin + j * height));
+            }
+            grid.push(row);
+        }
+
+        const cell = (x, y, w, h, corners, level) => {
+            const count = corners.filter(Boolean).length;
+            if (count === 4) {
+                rectangles.push([x, y, x + w, y + h]);
+                return;
+            }
+            if (count === 0) return;
+            if (level === depth) {
+                if (inside(x + w / 2, y + h / 2)) {
+                    rectangles.push([x, y, x + w, y + h]);
+                }
+                return;
+            }
+
+            const midX = x + w / 2;
+            const midY = y + h / 2;
+            const [v0, v1, v2, v3] = corners;
+            const bottom = inside(midX, y);
+            const right = inside(x + w, midY);
+            const top = inside(midX, y + h);
+            const left = inside(x, midY);
+            const center = inside(midX, midY);
+            const next = level + 1;
+            cell(x, y, w / 2, h / 2, [v0, bottom, center, left], next);
+            cell(midX, y, w / 2, h / 2, [bottom, v1, right, center], next);
+            cell(midX, midY, w / 2, h / 2, [center, right, v2, top], next);
+            cell(x, midY, w / 2, h / 2, [left, center, top, v3], next);
+        };
+
+        for (let j = 0; j < rows; j++) {
+            const y = yMin + j * height;
+
+            // Runs of whole cells along a row become one rectangle
+            let run = null;
+            for (let i = 0; i <= columns; i++) {
+                const corners =
+                    i < columns
+                        ? [
+                              grid[j][i],
+                              grid[j][i + 1],
+                              grid[j + 1][i + 1],
+                              grid[j + 1][i],
+                          ]
+                        : null;
+                if (corners && corners.every(Boolean)) {
+                    if (run === null) run = i;
+                    continue;
+                }
+                if (run !== null) {
+                    rectangles.push([
+                        xMin + run * width,
+                        y,
+                        xMin + i * width,
+                        y + height,
+                    ]);
+                    run = null;
+                }
+                if (corners) {
+                    cell(xMin + i * width, y, width, height, corners, 0);
+                }
+            }
+        }
+
+        return rectangles;
+    }
+
+    // Points where the traced curves f = 0 and g = 0 cross, refined with
+    // Newton's method on both relations. Tolerance is about one pixel
+    relationIntersections(f, g, segmentsF, segmentsG, tolerance) {
+        // Bucket g's segments by the columns of width 8 px that they span
+        const size = 8 * tolerance;
+        const buckets = new Map();
+        for (const segment of segmentsG) {
+            const [x1, , x2] = segment;
+            const last = Math.floor(Math.max(x1, x2) / size);
+            for (let k = Math.floor(Math.min(x1, x2) / size); k <= last; k++) {
+                if (!buckets.has(k)) buckets.set(k, []);
+                buckets.get(k).push(segment);
+            }
+        }
+
+        const points = [];
+        for (const [x1, y1, x2, y2] of segmentsF) {
+            const last = Math.floor(Math.max(x1, x2) / size);
+            for (let k = Math.floor(Math.min(x1, x2) / size); k <= last; k++) {
+                for (const [x3, y3, x4, y4] of buckets.get(k) || []) {
+                    const d = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+                    if (d === 0) continue;
+                    const s =
+                        ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / d;
+                    const u =
+                        ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / d;
+                    if (s < 0 || s > 1 || u < 0 || u > 1) continue;
+
+                    const [x, y] = this.refineCrossing(
+                        f,
+                        g,
+                        x1 + s * (x2 - x1),
+                        y1 + s * (y2 - y1),
+                        tolerance
+                    );
+                    const seen = points.some(
+                        (p) => Math.hypot(p.x - x, p.y - y) < 2 * tolerance
+                    );
+                    if (!seen) points.push({ x, y });
+                }
+            }
+        }
+
+        return points;
+    }
+
+    // Newton's method for f = g = 0 from a traced crossing, with a numeric
+    // Jacobian. The traced point is kept if Newton wanders off
+    refineCrossing(f, g, x, y, tolerance) {
+        const h = tolerance * 1e-3;
+        let px = x;
+        let py = y;
+
+        for (let i = 0; i < 20; i++) {
+            const a = f(px, py);
+            const b = g(px, py);
+            const fx = (f(px + h, py) - f(px - h, py)) / (2 * h);
+            const fy = (f(px, py + h) - f(px, py - h)) / (2 * h);
+            const gx = (g(px + h, py) - g(px - h, py)) / (2 * h);
+            const gy = (g(px, py + h) - g(px, py - h)) / (2 * h);
+            const det = fx * gy - fy * gx;
+            if (!isFinite(det) || det === 0) break;
+
+            const dx = (a * gy - b * fy) / det;
+            const dy = (b * fx - a * gx) / det;
+            px -= dx;
+            py -= dy;
+            if (Math.hypot(dx, dy) < tolerance * 1e-9) break;
+        }
+
+        if (!isFinite(px) || !isFinite(py)) return [x, y];
+        if (Math.hypot(px - x, py - y) > 2 * tolerance) return [x, y];
+        return [px, py];
+    }
+
+    // Marching squares for one cell: join the points where the sign
+    // changes along its edges, interpolating linearly between corners
+    marchCell(relation, x, y, w, h, corners, segments) {
+        const points = [
+            [x, y],
+            [x + w, y],
+            [x + w, y + h],
+            [x, y + h],
+        ];
+
+        // The crossing on edge k, which runs from corner k to corner k + 1
+        const crossing = (k) => {
+            const a = corners[k];
+            const b = corners[(k + 1) % 4];
+            if (a > 0 === b > 0) return null;
+            const t = a / (a - b);
+            const [x1, y1] = points[k];
+            const [x2, y2] = points[(k + 1) % 4];
+            return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+        };
+        const edges = [0, 1, 2, 3].map(crossing);
+
+        let pairs;
+        if (edges.every(Boolean)) {
+            // A saddle: the center decides which corners are cut off
+            const center = relation(x + w / 2, y + h / 2);
+            pairs =
+                center > 0 === corners[0] > 0
+                    ? [
+                          [0, 1],
+                          [2, 3],
+                      ]
+                    : [
+                          [3, 0],
+                          [1, 2],
+                      ];
+        } else {
+            pairs = [edges.map((edge, k) => k).filter((k) => edges[k])];
+        }
+
+        // On the curve the relation is near zero halfway along a segment;
+        // across a pole or a jump it is not
+        const largest = Math.max(...corners.map(Math.abs));
+        for (const [from, to] of pairs) {
+            const [x1, y1] = edges[from];
+            const [x2, y2] = edges[to];
+            const middle = relation((x1 + x2) / 2, (y1 + y2) / 2);
+            if (Math.abs(middle) <= largest / 2) {
+                segments.push([x1, y1, x2, y2]);
+            }
+        }
+    }
+
+    // Vertical line test on traced segments, one pixel column at a time.
+    // Returns null when every column meets the curve in one connected piece,
+    // or { x, ys } for a column where it meets it in several
+    verticalLineTest(segments, bounds, columns, rows) {
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const width = (xMax - xMin) / columns;
+        const pixel = (yMax - yMin) / rows;
+        const gap = 1.5 * pixel;
+        const spans = new Map();
+        let vertical = null;
+
+        for (const [x1, y1, x2, y2] of segments) {
+            // A segment with height but no width is part of a vertical line,
+            // which meets the vertical line through it in more than one point
+            if (
+                Math.abs(x2 - x1) < width * 1e-6 &&
+                Math.abs(y2 - y1) > pixel / 4
+            ) {
+                if (!vertical) vertical = { x: x1, ys: [y1, y1] };
+                if (Math.abs(x1 - vertical.x) < width) {
+                    vertical.ys = [
+                        Math.min(vertical.ys[0], y1, y2),
+                        Math.max(vertical.ys[1], y1, y2),
+                    ];
+                }
+                continue;
+            }
+
+            const first = Math.floor((Math.min(x1, x2) - xMin) / width);
+            const last = Math.floor((Math.max(x1, x2) - xMin) / width);
+            for (let column = first; column <= last; column++) {
+                if (!spans.has(column)) spans.set(column, []);
+                spans.get(column).push([Math.min(y1, y2), Math.max(y1, y2)]);
+            }
+        }
+        if (vertical) return vertical;
+
+        for (const [column, list] of spans) {
+            list.sort((a, b) => a[0] - b[0]);
+            const pieces = [list[0]];
+            for (const [low, high] of list.slice(1)) {
+                const piece = pieces[pieces.length - 1];
+                if (low - piece[1] <= gap) piece[1] = Math.max(piece[1], high);
+                else pieces.push([low, high]);
+            }
+            if (pieces.length > 1) {
+                return {
+                    x: xMin + (column + 0.5) * width,
+                    ys: pieces.map(([low, high]) => (low + high) / 2),
+                };
+            }
+        }
+
+        return null;
+    }
+
+    isFunction(func) {
+        // A relation is a function if each x-value maps to exactly one y-value
+        // For our purposes, if the function evaluates without multiple values, it's a function
+        // This is a simplified check since we're dealing with single-valued functions
+        const testPoints = [-5, -2, 0, 1, 3, 5];
+
+        for (const x of testPoints) {
+            try {
+                const y = this.parser.evaluate(func, x);
+                if (typeof y !== "number") {
+                    return false;
+                }
+            } catch (error) {
+                // If evaluation fails, we can't determine - assume it's still a function
+                continue;
+            }
+        }
+        return true;
+    }
+
+    checkSymmetry(func) {
+        const testPoints = [-3, -2, -1, -0.5, 0.5, 1, 2, 3];
+        let oddCount = 0;
+        let evenCount = 0;
+        let totalTests = 0;
+        const tolerance = 1e-10;
+
+        for (const x of testPoints) {
+            if (x === 0) continue; // Skip x=0 for symmetry tests
+
+            try {
+                const fx = this.parser.evaluate(func, x);
+                const fNegX = this.parser.evaluate(func, -x);
+
+                if (
+                    isNaN(fx) ||
+                    isNaN(fNegX) ||
+                    !isFinite(fx) ||
+                    !isFinite(fNegX)
+                ) {
+                    continue;
+                }
+
+                totalTests++;
+
+                // Check if f(-x) = f(x) (even function)
+                if (Math.abs(fNegX - fx) < tolerance) {
+                    evenCount++;
+                }
+
+                // Check if f(-x) = -f(x) (odd function)
+                if (Math.abs(fNegX - -fx) < tolerance) {
+                    oddCount++;
+                }
+            } catch (error) {
+                continue;
+            }
+        }
+
+        const threshold = 0.8; // 80% of tests must pass
+        return {
+            isEven: totalTests > 0 && evenCount / totalTests >= threshold,
+            isOdd: totalTests > 0 && oddCount / totalTests >= threshold,
+        };
+    }
+
+    isOneToOne(func) {
+        // Test if function is one-to-one (injective) by checking if different x values give different y values
+        const testPoints = [];
+        for (let i = -5; i <= 5; i += 0.5) {
+            testPoints.push(i);
+        }
+
+        const yValues = [];
+        const tolerance = 1e-8;
+
+        for (const x of testPoints) {
+            try {
+                const y = this.parser.evaluate(func, x);
+                if (isNaN(y) || !isFinite(y)) continue;
+
+                // Check if this y-value is approximately equal to any previous y-value
+                for (const prevY of yValues) {
+                    if (Math.abs(y - prevY) < tolerance) {
+                        return false; // Found duplicate y-value, not one-to-one
+                    }
+                }
+                yValues.push(y);
+            } catch (error) {
+                continue;
+            }
+        }
+
+        return yValues.length > 5; // Need sufficient data points to make determination
+    }
+
+    // The domain a piecewise definition or a restriction such as
+    // sin(x) {0 <= x <= 2*pi} states, as sorted disjoint intervals. Null when
+    // a piece has no condition or a condition is not a plain bound on x
+    statedDomain(func) {
+        if (!func.ast) return null;
+        return this.piecesDomain(this.parser.inline(func.ast));
+    }
+
+    piecesDomain(node) {
+        if (node.type !== "piecewise") return null;
+
+        const intervals = [];
+        for (const piece of node.pieces) {
+            if (!piece.condition) return null;
+            const allowed = this.conditionIntervals(piece.condition);
+            if (!allowed) return null;
+            // A value restricted again, as in sin(x) {x > 0} {x < 5}
+            const inner = this.piecesDomain(piece.value) || [this.realLine()];
+            for (const a of allowed) {
+                for (const b of inner) {
+                    const overlap = this.intersectIntervals(a, b);
+                    if (overlap) intervals.push(overlap);
+                }
+            }
+        }
+        return this.mergeIntervals(intervals);
+    }
+
+    // The x values a chained comparison such as 0 <= x < 2*pi allows, as
+    // zero or one intervals. Null when it compares anything but x with
+    // constants
+    conditionIntervals(condition) {
+        const isX = (node) => node.type === "variable" && node.name === "x";
+        const flipped = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+        let interval = this.realLine();
+
+        for (let i = 0; i < condition.operators.length; i++) {
+            let left = condition.args[i];
+            let right = condition.args[i + 1];
+            let op = condition.operators[i];
+            // Read c < x as x > c
+            if (isX(right) && !isX(left)) {
+                [left, right] = [right, left];
+                op = flipped[op];
+            }
+            if (dependsOn(right, "x") || (!isX(left) && dependsOn(left, "x"))) {
+                return null;
+            }
+
+            const value = this.parser.evaluateNode(right, {});
+            if (!isX(left)) {
+                // Two constants either always or never hold
+                const holds = compare(
+                    op,
+                    this.parser.evaluateNode(left, {}),
+                    value
+                );
+                if (!holds) return [];
+                continue;
+            }
+            if (!isFinite(value)) return null;
+
+            const text = this.parser.format(right);
+            const bound =
+                op === "<" || op === "<="
+                    ? { end: value, endClosed: op === "<=", endText: text }
+                    : {
+                          start: value,
+                          startClosed: op === ">=",
+                          startText: text,
+                      };
+            interval = this.intersectIntervals(interval, {
+                ...this.realLine(),
+                ...bound,
+            });
+            if (!interval) return [];
+        }
+        return [interval];
+    }
+
+    realLine() {
+        return {
+            start: -Infinity,
+            end: Infinity,
+            startClosed: false,
+            endClosed: false,
+            startText: "",
+            endText: "",
+        };
+    }
+
+    // The overlap of two intervals, or null when they do not meet
+    intersectIntervals(a, b) {
+        const lower =
+            a.start > b.start || (a.start === b.start && !a.startClosed)
+                ? a
+                : b;
+        const upper =
+            a.end < b.end || (a.end === b.end && !a.endClosed) ? a : b;
+        const overlap = {
+            start: lower.start,
+            startClosed: lower.startClosed,
+            startText: lower.startText,
+            end: upper.end,
+            endClosed: upper.endClosed,
+            endText: upper.endText,
+        };
+
+        if (overlap.start > overlap.end) return null;
+        if (
+            overlap.start === overlap.end &&
+            !(overlap.startClosed && overlap.endClosed)
+        ) {
+            return null;
+        }
+        return overlap;
+    }
+
+    // Sort intervals and join the ones that overlap or touch at a point one
+    // of them includes
+    mergeIntervals(intervals) {
+        const sorted = [...intervals].sort(
+            (a, b) => a.start - b.start || b.startClosed - a.startClosed
+        );
+        const merged = [];
+
+        for (const interval of sorted) {
+            const last = merged[merged.length - 1];
+            const joins =
+                last &&
+                (interval.start < last.end ||
+                    (interval.start === last.end &&
+                        (last.endClosed || interval.startClosed)));
+            if (!joins) {
+                merged.push({ ...interval });
+            } else if (
+                interval.end > last.end ||
+                (interval.end === last.end && interval.endClosed)
+            ) {
+                last.end = interval.end;
+                last.endClosed = interval.endClosed;
+                last.endText = interval.endText;
+            }
+        }
+        return merged;
+    }
+
+    // x values where a piecewise or restricted function changes pieces or
+    // ends
+    pieceBoundaries(func) {
+        if (!func.ast) return [];
+        return this.parser.comparedConstants(this.parser.inline(func.ast));
+    }
+
+    // Sample the function over a reasonable range to get local behavior, or
+    // only over the stated domain of a piecewise or restricted function
+    rangeSamples(func) {
+        const samples = [];
+        const stated = this.statedDomain(func);
+        if (!stated) {
+            for (let x = -50; x <= 50; x += 0.1) samples.push(x);
+            return samples;
+        }
+
+        for (const interval of stated) {
+            const start = Math.max(interval.start, -50);
+            const end = Math.min(interval.end, 50);
+            if (start > end) continue;
+            // Enough points to see even a short interval's shape
+            const step = Math.min(0.1, (end - start) / 200);
+            if (step > 0) {
+                for (let x = start; x < end; x += step) samples.push(x);
+            }
+            samples.push(end);
+        }
+        return samples;
+    }
+
+    analyzeDomainRange(func, derivative) {
+        const domain = this.analyzeDomain(func);
+        const { range, extrema } = this.analyzeRange(func, derivative);
+        return { domain, range, extrema };
+    }
+
+    // Domain from the structure of the expression, such as [-2, 2] for
+    // sqrt(4 - x^2) or x ≠ π/2 + nπ for tan(x)
+    analyzeDomain(func) {
+        const domain = func.ast && this.domains.domain(func);
+        if (!domain) return "Could not be determined exactly";
+        return this.domains.describe(domain);
+    }
+
+    // Range from calculus. On each stretch of the domain where f is
+    // continuous it takes every value between the least and the greatest of
+    // f at critical points and included ends, and its limits at open ends
+    // and ±∞. The global maximum and minimum come from the same candidates
+    analyzeRange(func, derivative) {
+        const ast = func.ast && this.parser.inline(func.ast);
+        const domain = ast && this.domains.domain(func);
+        const sampled = () => ({
+            range: this.sampledRange(func, domain),
+            extrema: null,
+        });
+        // Step functions jump at too many points to follow
+        if (!domain || callsAny(ast, STEP_FUNCTIONS)) {
+            return sampled();
+        }
+
+        const period = this.domains.periodOf(ast);
+        const stretches = this.continuousStretches(func, domain, period);
+        if (!stretches) return sampled();
+        if (stretches.length === 0) {
+            return { range: "Empty (the domain is empty)", extrema: null };
+        }
+        if (period === 0) {
+            const value = formatExact(
+                this.parser.evaluate(func, this.insidePoint(stretches[0]))
+            );
+            const constant = `${value} (the function is constant)`;
+            return {
+                range: `{${value}}`,
+                extrema: { maximum: constant, minimum: constant },
+            };
+        }
+
+        const found = [];
+        const spans = [];
+        const add = (values) => {
+            found.push(...values);
+            const span = this.valueSpan(values);
+            if (span && this.domains.nonEmpty(span)) spans.push(span);
+        };
+        for (const stretch of stretches) {
+            // The end a ray of excluded points runs along is cut into
+            // endless stretches, which are followed to their limit
+            const direction = [-1, 1].find(
+                (side) =>
+                    (side < 0 ? stretch.start : stretch.end) ===
+                        side * Infinity &&
+                    this.excludedPoints(domain, side, 1).length > 0
+            );
+            if (direction) {
+                const tail = this.rayTail(func, derivative, domain, direction);
+                if (!tail) return sampled();
+                tail.forEach(add);
+                continue;
+            }
+            const values = this.stretchValues(func, derivative, stretch);
+            // A limit that does not settle, like sin(x) at ∞
+            if (!values) return sampled();
+            add(values);
+        }
+
+        const ranges = this.mergeIntervals(spans);
+        return {
+            range: this.domains.isLine(ranges)
+                ? "All real numbers (ℝ)"
+                : this.domains.formatIntervals(ranges),
+            extrema: {
+                maximum: this.extremum(found, Math.max, period),
+                minimum: this.extremum(found, Math.min, period),
+            },
+        };
+    }
+
+    // The domain cut into stretches where f is continuous: apart at the
+    // boundaries of pieces, and for a periodic f only over one period.
+    // Null when a periodic domain repeats too often to list
+    continuousStretches(func, domain, period) {
+        let intervals = domain.intervals;
+        if (domain.excluded && domain.periodic) return null;
+        if (period || domain.periodic) {
+            const reach = period ? 0 : 20 * domain.periodic.period;
+            const end = period || reach;
+            const tiles = domain.periodic
+                ? this.domains.tile(domain.periodic, -reach, end)
+                : [this.domains.interval(0, true, end, true)];
+            if (!tiles) return null;
+            intervals = this.domains.intersectLists(intervals, tiles);
+        }
+
+        // The first few points a ray leaves out split the domain too
+        const holes = [-1, 1].flatMap((side) =>
+            this.excludedPoints(domain, side, RAY_STRETCHES)
+        );
+        const cuts = [
+            ...this.pieceBoundaries(func),
+            ...this.switchPoints(this.parser.inline(func.ast), intervals),
+            ...holes,
+        ].sort((a, b) => a - b);
+        const stretches = [];
+        for (const interval of intervals) {
+            let rest = interval;
+            for (const cut of cuts) {
+                if (!(cut > rest.start && cut < rest.end)) continue;
+                stretches.push({ ...rest, end: cut, endClosed: false });
+                if (!holes.includes(cut)) {
+                    stretches.push(this.domains.interval(cut, true, cut, true));
+                }
+                rest = { ...rest, start: cut, startClosed: false };
+            }
+            stretches.push(rest);
+        }
+        return stretches;
+    }
+
+    // Where a min, max or abs changes which argument it takes: f is
+    // continuous there but f′ jumps, so the stretches on each side are
+    // analyzed apart, and one where f is flat, as abs(x - 1) + abs(x + 1)
+    // is on [-1, 1], is seen as a whole. A periodic switch is followed
+    // across the given intervals
+    switchPoints(node, intervals, found = []) {
+        for (const child of [node.argument, node.left, node.right]) {
+            if (child) this.switchPoints(child, intervals, found);
+        }
+        for (const arg of node.args || []) {
+            this.switchPoints(arg, intervals, found);
+        }
+        for (const piece of node.pieces || []) {
+            this.switchPoints(piece.value, intervals, found);
+        }
+        if (
+            node.type !== "call" ||
+            !["min", "max", "abs"].includes(node.name)
+        ) {
+            return found;
+        }
+
+        const ends = intervals
+            .flatMap((interval) => [interval.start, interval.end])
+            .filter((x) => isFinite(x));
+        // abs(u) takes u or -u, switching where u changes sign
+        const args = node.name === "abs" ? [node.args[0], num(0)] : node.args;
+        args.forEach((a, i) => {
+            for (const b of args.slice(i + 1)) {
+                const where = this.domains.conditionDomain({
+                    node: binary("-", a, b),
+                    kind: "nonnegative",
+                });
+                if (!where) continue;
+                let parts = where.intervals;
+                if (where.periodic) {
+                    const tiles =
+                        ends.length > 0 &&
+                        this.domains.tile(
+                            where.periodic,
+                            Math.min(...ends),
+                            Math.max(...ends)
+                        );
+                    if (!tiles) continue;
+                    parts = this.domains.intersectLists(parts, tiles);
+                }
+                for (const part of parts) {
+                    found.push(...[part.start, part.end].filter(isFinite));
+                }
+            }
+        });
+        return found;
+    }
+
+    // The first count points the rays of a domain leave out going one way
+    // along the line, nearest first
+    excludedPoints(domain, side, count) {
+        const points = (domain.excluded || [])
+            .filter((ray) => Math.sign(ray.step) === side)
+            .flatMap((ray) => this.domains.rayPoints(ray, count));
+        return this.dedupe(points, 1e-9)
+            .sort((a, b) => side * (a - b))
+            .slice(0, count);
+    }
+
+    // Values of f along the end of its domain that a ray of excluded
+    // points cuts into endless stretches, like gamma(x) for x < -3. The
+    // stretches after the first few are analyzed, and those of each shape,
+    // such as (-∞, a] or [a, ∞), followed to the limits of their ends. Null
+    // when those do not settle
+    rayTail(func, derivative, domain, side) {
+        const points = this.excludedPoints(
+            domain,
+            side,
+            RAY_STRETCHES + RAY_TAIL
+        ).slice(RAY_STRETCHES - 1);
+        const shapes = new Map();
+        const values = [];
+        for (let i = 0; i + 1 < points.length; i++) {
+            const [a, b] = [points[i], points[i + 1]].sort((a, b) => a - b);
+            const stretch = this.domains.interval(a, false, b, false);
+            const found = this.stretchValues(func, derivative, stretch);
+            if (!found) return null;
+            values.push(found);
+            const span = this.valueSpan(found);
+            if (!span) continue;
+            const shape = `${isFinite(span.start)} ${isFinite(span.end)}`;
+            shapes.set(shape, [...(shapes.get(shape) || []), span]);
+        }
+
+        for (const spans of shapes.values()) {
+            if (spans.length < 4) return null;
+            const limits = [
+                this.limitAlong(spans.map((span) => span.start)),
+                this.limitAlong(spans.map((span) => span.end)),
+            ];
+            if (limits.includes(null)) return null;
+            values.push(
+                limits.map((y) => ({ x: side * Infinity, y, attained: false }))
+            );
+        }
+        return values;
+    }
+
+    insidePoint({ start, end }) {
+        if (start === end) return start;
+        if (!isFinite(start)) return isFinite(end) ? end - 1 : 0;
+        return isFinite(end) ? (start + end) / 2 : start + 1;
+    }
+
+    // Candidates for the least and greatest values of f on a stretch of its
+    // domain, as { x, y, attained }: f at critical points, included ends and
+    // one point inside, and its limits at the other ends. Null when a limit
+    // does not exist
+    stretchValues(func, derivative, stretch) {
+        const { start, end, startClosed, endClosed } = stretch;
+        const found = [];
+        const valueAt = (x) => this.parser.evaluate(func, x);
+        const add = (x, y, attained) => {
+            if (y === null) return false;
+            if (!Number.isNaN(y)) found.push({ x, y, attained });
+            return true;
+        };
+
+        if (start === end) {
+            add(start, valueAt(start), true);
+            return found;
+        }
+        const ends =
+            (startClosed
+                ? add(start, valueAt(start), true)
+                : add(start, this.limitAt(func, start, 1), false)) &&
+            (endClosed
+                ? add(end, valueAt(end), true)
+                : add(end, this.limitAt(func, end, -1), false));
+        if (!ends) return null;
+
+        for (const x of this.criticalPoints(func, derivative, start, end)) {
+            add(x, valueAt(x), true);
+        }
+        const inside = this.insidePoint(stretch);
+        add(inside, valueAt(inside), true);
+
+        // A flat stretch, like a constant piece, reaches its value all along
+        if (found.every((value) => this.sameValue(value.y, found[0].y))) {
+            return [{ stretch, y: found[0].y, attained: true }];
+        }
+        return found;
+    }
+
+    // Where f′ changes sign inside a stretch while f stays continuous, which
+    // takes in corners like abs(x) at 0. Infinite ends are searched out to
+    // 1000, in growing windows so points near the middle are found finely
+    criticalPoints(func, derivative, start, end) {
+        const slope =
+            derivative ||
+            ((x) => {
+                const h = 1e-6 * Math.max(1, Math.abs(x));
+                return (
+                    (this.parser.evaluate(func, x + h) -
+                        this.parser.evaluate(func, x - h)) /
+                    (2 * h)
+                );
+            });
+        const anchor = isFinite(start) ? start : isFinite(end) ? end : 0;
+        const windows =
+            isFinite(start) && isFinite(end)
+                ? [[start, end]]
+                : [10, 100, 1000].map((reach) => [
+                      Math.max(start, anchor - reach),
+                      Math.min(end, anchor + reach),
+                  ]);
+
+        const points = [];
+        for (const [lo, hi] of windows) {
+            const h = (hi - lo) * 1e-7;
+            points.push(
+                ...this.findRoots(slope, lo, hi, {
+                    touching: false,
+                    accept: (x) =>
+                        x > start && x < end && this.isContinuousAt(func, x, h),
+                })
+            );
+        }
+        return this.dedupe(points, 1e-7 * (1 + Math.abs(anchor)));
+    }
+
+    // The interval of values between the least and the greatest found,
+    // closed at the ones f reaches. Only its ends are snapped to exact
+    // values, so spans that meet at one join up
+    valueSpan(found) {
+        if (found.length === 0) return null;
+        const ys = found.map((value) => value.y);
+        const low = Math.min(...ys);
+        const high = Math.max(...ys);
+        const reaches = (y) =>
+            found.some((value) => value.attained && this.sameValue(value.y, y));
+        return this.domains.interval(
+            this.domains.snap(low),
+            reaches(low),
+            this.domains.snap(high),
+            reaches(high)
+        );
+    }
+
+    sameValue(a, b) {
+        return a === b || Math.abs(a - b) <= 1e-7 * (1 + Math.abs(a));
+    }
+
+    // The global maximum or minimum as text, like "1 at x = π/2 + 2nπ", or
+    // the reason there is none
+    extremum(found, pick, period) {
+        const best = pick(...found.map((value) => value.y));
+        if (!isFinite(best)) return "none (unbounded)";
+
+        const reached = found.filter(
+            (value) => value.attained && this.sameValue(value.y, best)
+        );
+        if (reached.length === 0) {
+            return `none (approaches ${formatExact(
+                best
+            )} but never reaches it)`;
+        }
+
+        // Flat stretches join up with each other and the points at their
+        // ends, as where min(x, 1) reaches 1 for x ≥ 1
+        const spans = this.mergeIntervals(
+            reached.map((value) => {
+                if (value.stretch) return value.stretch;
+                const exact = exactValue(value.x);
+                const x = exact ? exact.value : value.x;
+                return this.domains.interval(x, true, x, true);
+            })
+        );
+        const flats = spans.filter((span) => span.start !== span.end);
+        const places = flats.map((span) => {
+            const text = `x ∈ ${this.domains.formatIntervals([span])}`;
+            return period
+                ? `${text} + ${this.domains.repeatText(0, period)}`
+                : text;
+        });
+        let xs = spans
+            .filter((span) => span.start === span.end)
+            .map((span) => span.start);
+        // One period is searched: its two ends are the same point, and the
+        // flat stretches repeat with it
+        if (period) {
+            xs = xs
+                .filter(
+                    (x) =>
+                        !this.domains.inPattern({ period, intervals: flats }, x)
+                )
+                .map((x) => (this.sameValue(x, period) ? 0 : x));
+        }
+        xs = this.dedupe(xs, 1e-7);
+        if (xs.length > 0) {
+            const shown = xs
+                .slice(0, 4)
+                .map((x) =>
+                    period ? this.domains.repeatText(x, period) : formatExact(x)
+                );
+            const more = xs.length > 4 ? ", …" : "";
+            places.push(`x = ${shown.join(", ")}${more}`);
+        }
+        const every = period ? ", n ∈ ℤ" : "";
+        return `${formatExact(best)} at ${places.join(", ")}${every}`;
+    }
+
+    // The limit of f as x approaches a from one side, side 1 being from the
+    // right, or as x → ±∞ when a is infinite. Null when it does not exist.
+    // Samples stop 1e-7 from a or at ±1e6, before rounding takes over
+    limitAt(func, a, side) {
+        const last = 6;
+        const at = (k) =>
+            isFinite(a)
+                ? a + side * Math.max(1, Math.abs(a)) * 10 ** -(k + 1)
+                : Math.sign(a) * 10 ** k;
+        const values = [];
+        for (let k = 1; k <= last; k++) {
+            values.push(this.parser.evaluate(func, at(k)));
+        }
+        const limit = this.limitAlong(values);
+        if (limit === null) return this.dampedLimit(func, at);
+
+        // An oscillation like x*sin(x) can hide between the samples, so the
+        // values in between must stay on course too
+        const far = values[values.length - 3];
+        for (let k = last - 2; k <= last; k += 0.05) {
+            const y = this.parser.evaluate(func, at(k));
+            const onCourse = isFinite(limit)
+                ? Math.abs(y - limit) <=
+                  10 * Math.abs(far - limit) + 1e-9 * (1 + Math.abs(limit))
+                : Math.sign(y) === Math.sign(limit) &&
+                  Math.abs(y) >= Math.abs(far) / 2;
+            if (!onCourse) return null;
+        }
+        return limit;
+    }
+
+    // The limit of an oscillation that dies down, like sin(x)/x as x → ∞,
+    // from windows of samples between at(k) and at(k + 1): how far they
+    // stray from the middle of the last window must keep shrinking. Null
+    // when it does not
+    dampedLimit(func, at) {
+        const windows = [3, 4, 5].map((k) => {
+            const ys = [];
+            for (let j = 0; j <= 200; j++) {
+                ys.push(this.parser.evaluate(func, at(k + j / 200)));
+            }
+            return ys;
+        });
+        if (windows.some((ys) => ys.some((y) => !isFinite(y)))) return null;
+        const last = windows[windows.length - 1];
+        const middle = (Math.max(...last) + Math.min(...last)) / 2;
+        const strays = windows.map((ys) =>
+            Math.max(...ys.map((y) => Math.abs(y - middle)))
+        );
+        const shrinking = strays
+            .slice(1)
+            .every((stray, i) => stray <= 0.7 * strays[i]);
+        return shrinking ? this.snapLimit(middle, strays[2]) : null;
+    }
+
+    // Where a sequence of values is heading: its last value once settled,
+    // extrapolated when the steps shrink geometrically, ±∞ when they keep
+    // the same size or grow in one direction, and otherwise null
+    limitAlong(values) {
+        if (values.some((y) => Number.isNaN(y))) return null;
+        const last = values[values.length - 1];
+        if (!isFinite(last)) {
+            return values.slice(-3).every((y) => y === last) ? last : null;
+        }
+
+        const tail = values.slice(-4);
+        const steps = tail.slice(1).map((y, i) => y - tail[i]);
+        const scale = 1 + Math.abs(last);
+        if (steps.every((d) => Math.abs(d) < 1e-9 * scale)) {
+            return this.snapLimit(last, 1e-9 * scale);
+        }
+
+        const ratios = [steps[1] / steps[0], steps[2] / steps[1]];
+        if (ratios.every((r) => r > 0 && r < 0.7)) {
+            const r = Math.max(...ratios);
+            const rest = (steps[2] * r) / (1 - r);
+            return this.snapLimit(last + rest, Math.abs(rest));
+        }
+        if (ratios.every((r) => r >= 0.95)) {
+            return steps[2] > 0 ? Infinity : -Infinity;
+        }
+        return null;
+    }
+
+    // A limit estimate replaced by a simple exact value within its error
+    snapLimit(value, error) {
+        if (Math.abs(value) <= error) return 0;
+        const exact = exactValue(
+            value,
+            Math.max(1e-9, error / Math.max(1, Math.abs(value)))
+        );
+        return exact ? exact.value : value;
+    }
+
+    // Points where f breaks off: vertical asymptotes, where a one-sided
+    // limit is infinite, and removable discontinuities, where f is undefined
+    // but both one-sided limits agree on a finite value. Each is
+    // { x, left, right, period } with the limits from the left and the
+    // right, null where there is none and NaN where f is undefined on that
+    // side. Candidates are the ends of the domain and the boundaries of
+    // pieces; a periodic domain gives those in one period, repeating every
+    // period. Without an exact domain, only poles near the origin are found
+    analyzeDiscontinuities(func) {
+        const domain = func.ast && this.domains.domain(func);
+        const candidates = [];
+        if (!domain) {
+            candidates.push(...this.findPoles(func, -50, 50));
+        } else {
+            candidates.push(...this.pieceBoundaries(func));
+            for (const interval of domain.intervals) {
+                candidates.push(interval.start, interval.end);
+            }
+            // The first points a ray leaves out. Further along, gamma(x)
+            // is too small near its poles to be seen blowing up
+            for (const side of [-1, 1]) {
+                candidates.push(...this.excludedPoints(domain, side, 12));
+            }
+        }
+
+        const periodic = domain && domain.periodic;
+        const repeating = [];
+        if (periodic) {
+            for (const interval of periodic.intervals) {
+                for (const x of [interval.start, interval.end]) {
+                    repeating.push(this.sameValue(x, periodic.period) ? 0 : x);
+                }
+            }
+        }
+
+        // Rounding can make f defined at a point its domain leaves out, like
+        // tan(x)*cos(x) at π/2, so the domain decides where it has one.
+        // Without one, the candidates are poles and never holes, even where
+        // f is too small to be seen blowing up, like gamma(x^2) at its poles
+        // far from 0
+        const excluded = (x) => {
+            if (!domain) return false;
+            const point = this.domains.interval(x, true, x, true);
+            const [inside] = this.domains.intersectLists(domain.intervals, [
+                point,
+            ]);
+            return (
+                !inside ||
+                (periodic && !this.domains.inPattern(periodic, x)) ||
+                (domain.excluded || []).some((ray) =>
+                    this.domains.onRay(ray, x)
+                )
+            );
+        };
+        const vertical = [];
+        const holes = [];
+        // NaN for a side f is not defined on
+        const sideLimit = (x, side) => {
+            const near = x + side * 1e-7 * Math.max(1, Math.abs(x));
+            return Number.isNaN(this.parser.evaluate(func, near))
+                ? NaN
+                : this.limitAt(func, x, side);
+        };
+        const check = (x, period) => {
+            const left = sideLimit(x, -1);
+            const right = sideLimit(x, 1);
+            const infinite = (limit) =>
+                limit === Infinity || limit === -Infinity;
+            if (infinite(left) || infinite(right)) {
+                vertical.push({ x, left, right, period });
+            } else if (
+                excluded(x) &&
+                Number.isFinite(left) &&
+                Number.isFinite(right) &&
+                this.sameValue(left, right)
+            ) {
+                holes.push({ x, left, right, period });
+            }
+        };
+        const finite = (xs) => this.dedupe(xs.filter(isFinite), 1e-9);
+        for (const x of finite(repeating)) check(x, periodic.period);
+        this.joinFamily(vertical);
+        this.joinFamily(holes);
+
+        for (const x of finite(candidates)) {
+            if (!periodic || this.domains.inPattern(periodic, x)) {
+                check(x, null);
+            }
+        }
+        return { vertical, holes };
+    }
+
+    // Evenly spaced points of one period that behave alike, like the
+    // asymptotes of tan(x) at π/2 and 3π/2, are one family
+    joinFamily(found) {
+        if (found.length < 2) return;
+        const first = found[0];
+        const spacing = first.period / found.length;
+        const alike = found.every(
+            (point, i) =>
+                Math.abs(point.x - first.x - i * spacing) < 1e-9 * spacing &&
+                Object.is(point.left, first.left) &&
+                Object.is(point.right, first.right)
+        );
+        if (alike) found.splice(0, found.length, { ...first, period: spacing });
+    }
+
+    // Lines y = slope·x + intercept that f approaches, each with the
+    // directions (∞, -∞ or both) it is approached in
+    endAsymptotes(func) {
+        const lines = [];
+        for (const direction of [Infinity, -Infinity]) {
+            const line = this.endLine(func, direction);
+            if (!line) continue;
+            const same = lines.find(
+                (other) =>
+                    this.sameValue(other.slope, line.slope) &&
+                    this.sameValue(other.intercept, line.intercept)
+            );
+            if (same) same.directions.push(direction);
+            else lines.push({ ...line, directions: [direction] });
+        }
+        return lines;
+    }
+
+    // The line f approaches as x → direction: y = L when f has a finite
+    // limit L there, otherwise y = mx + b with m the limit of f(x)/x and
+    // b that of f(x) − mx. Null when f follows no line
+    endLine(func, direction) {
+        const limit = this.limitAt(func, direction);
+        if (limit === null) return null;
+        if (isFinite(limit)) return { slope: 0, intercept: limit };
+
+        const slope = this.limitAt(
+            (x) => this.parser.evaluate(func, x) / x,
+            direction
+        );
+        if (slope === null || !isFinite(slope) || slope === 0) return null;
+        const intercept = this.limitAt(
+            (x) => this.parser.evaluate(func, x) - slope * x,
+            direction
+        );
+        if (intercept === null || !isFinite(intercept)) return null;
+        return { slope, intercept };
+    }
+
+    // Least and greatest sampled values, for functions whose range cannot
+    // be followed exactly. Extremes that keep growing across wider windows,
+    // like those of x^2*sin(x), make the range unbounded on that side
+    sampledRange(func, domain) {
+        // Where f is only defined at points, like gcd(x, 4) at whole
+        // numbers, those points are the samples
+        const pattern =
+            domain &&
+            domain.periodic &&
+            domain.periodic.intervals.every(
+                (interval) => interval.start === interval.end
+            ) &&
+            domain.periodic;
+        const samples = (reach) => {
+            const xs = [];
+            if (!pattern) {
+                for (let x = -reach; x <= reach; x += 0.1) xs.push(x);
+                return xs;
+            }
+            const { period, intervals } = pattern;
+            for (let n = Math.ceil(-reach / period); n * period <= reach; n++) {
+                for (const interval of intervals) {
+                    xs.push(interval.start + n * period);
+                }
+            }
+            return xs.filter(
+                (x) =>
+                    Math.abs(x) <= reach &&
+                    domain.intervals.some(
+                        (interval) =>
+                            this.domains.intersectLists(
+                                [interval],
+                                [this.domains.interval(x, true, x, true)]
+                            ).length > 0
+                    )
+            );
+        };
+        const values = (xs) =>
+            xs
+                .map((x) => this.parser.evaluate(func, x))
+                .filter((y) => !Number.isNaN(y));
+
+        const ys = values(
+            pattern ? samples(50) : this.rangeSamples(func)
+        ).filter((y) => isFinite(y));
+        if (ys.length === 0) return "Could not be determined";
+        // A restricted function is sampled across all of its stated domain
+        const open = pattern || !this.statedDomain(func);
+        const grows = (pick) => {
+            if (!open) return false;
+            const extremes = [50, 100, 200, 400].map((reach) =>
+                pick(...values(samples(reach)))
+            );
+            const limit = this.limitAlong(extremes);
+            return (
+                extremes.some((y) => !isFinite(y)) ||
+                limit === Infinity ||
+                limit === -Infinity
+            );
+        };
+        const above = grows(Math.max);
+        const below = grows(Math.min);
+        if (above && below) return "Unbounded above and below (sampled)";
+        const low = below ? "(-∞" : `[${formatExact(Math.min(...ys))}`;
+        const high = above ? "∞)" : `${formatExact(Math.max(...ys))}]`;
+        return `About ${low}, ${high} (sampled, not exact)`;
+    }
+}
+
+// Stands in for a canvas 2D context and records the drawing as SVG, so the
+// graph's drawing code can export a vector image. Covers the part of the
+// canvas API the graph uses: paths of lines, arcs and ellipses, rectangles
+// and text
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.subpaths = [];
+        this.dash = [];
+        this.fillStyle = "#000";
+        this.strokeStyle = "#000";
+        this.lineWidth = 1;
+        this.lineCap = "butt";
+        this.globalAlpha = 1;
+        this.font = "10px sans-serif";
+        this.textAlign = "start";
+        this.textBaseline = "alphabetic";
+    }
+
+    setLineDash(segments) {
+        this.dash = [...segments];
+    }
+
+    beginPath() {
+        this.subpaths = [];
+    }
+
+    moveTo(x, y) {
+        this.subpaths.push({ points: [[x, y]], closed: false });
+    }
+
+    lineTo(x, y) {
+        const current = this.subpaths[this.subpaths.length - 1];
+        if (current && !current.shape) current.points.push([x, y]);
+        else this.moveTo(x, y);
+    }
+
+    closePath() {
+        const current = this.subpaths[this.subpaths.length - 1];
+        if (current) current.closed = true;
+    }
+
+    // Only whole circles and ellipses are drawn, as two half arcs
+    arc(x, y, radius) {
+        this.ellipse(x, y, radius, radius);
+    }
+
+    ellipse(x, y, radiusX, radiusY) {
+        const n = svgNumber;
+        const half = `A${n(radiusX)} ${n(radiusY)} 0 1 0`;
+        this.subpaths.push({
+            shape: `M${n(x + radiusX)} ${n(y)}${half} ${n(x - radiusX)} ${n(
+                y
+            )}${half} ${n(x + radiusX)} ${n(y)}Z`,
+        });
+    }
+
+    // Polylines for runs of lines, one path for the short pieces and shapes
+    stroke() {
+        const style = this.strokeAttributes();
+        const pieces = [];
+        for (const subpath of this.subpaths) {
+            if (subpath.shape) {
+                pieces.push(subpath.shape);
+            } else if (subpath.points.length > 2) {
+                const tag = subpath.closed ? "polygon" : "polyline";
+                this.elements.push(
+                    `<${tag} points="${svgPoints(subpath.points)}"${style}/>`
+                );
+            } else if (subpath.points.length === 2) {
+                pieces.push(pathData([subpath]));
+            }
+        }
+        if (pieces.length > 0) {
+            this.elements.push(`<path d="${pieces.join("")}"${style}/>`);
+        }
+    }
+
+    fill() {
+        const d = this.subpaths
+            .map((subpath) => subpath.shape || pathData([subpath]))
+            .join("");
+        if (d) {
+            this.elements.push(
+                `<path d="${d}" fill="${this.fillStyle}"${this.opacity()}/>`
+            );
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const n = svgNumber;
+        this.elements.push(
+            `<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(
+                height
+            )}" fill="${this.fillStyle}"${this.opacity()}/>`
+        );
+    }
+
+    clearRect(x, y, width, height) {
+        if (width >= this.width && height >= this.height) this.elements = [];
+    }
+
+    fillText(text, x, y) {
+        const anchor = { center: "middle", right: "end", end: "end" };
+        const baseline = { top: "hanging", middle: "middle" };
+        const n = svgNumber;
+        let attributes = `x="${n(x)}" y="${n(y)}" fill="${this.fillStyle}"`;
+        attributes += ` style="font: ${escapeXml(this.font)}"`;
+        if (anchor[this.textAlign]) {
+            attributes += ` text-anchor="${anchor[this.textAlign]}"`;
+        }
+        if (baseline[this.textBaseline]) {
+            attributes += ` dominant-baseline="${baseline[this.textBaseline]}"`;
+        }
+        this.elements.push(
+            `<text ${attributes}${this.opacity()}>${escapeXml(
+                String(text)
+            )}</text>`
+        );
+    }
+
+    // Without font metrics, assume the graph's monospace fonts
+    measureText(text) {
+        const size = parseFloat(/(\d+(\.\d+)?)px/.exec(this.font)[1]);
+        return { width: String(text).length * size * 0.6 };
+    }
+
+    strokeAttributes() {
+        let attributes = ` fill="none" stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"`;
+        if (this.lineCap !== "butt") {
+            attributes += ` stroke-linecap="${this.lineCap}"`;
+        }
+        if (this.dash.length > 0) {
+            attributes += ` stroke-dasharray="${this.dash.join(" ")}"`;
+        }
+        return attributes + this.opacity();
+    }
+
+    opacity() {
+        return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : "";
+    }
+
+    toString() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements,
+            "</svg>",
+        ].join("\n");
+    }
+}
+
+// Coordinates rounded to a hundredth of a pixel keep exported files small
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function svgPoints(points) {
+    return points.map(([x, y]) => `${svgNumber(x)},${svgNumber(y)}`).join(" ");
+}
+
+function pathData(subpaths) {
+    return subpaths
+        .map(
+            (subpath) =>
+                subpath.points
+                    .map(
+                        ([x, y], i) =>
+                            `${i === 0 ? "M" : "L"}${svgNumber(x)} ${svgNumber(
+                                y
+                            )}`
+                    )
+                    .join("") + (subpath.closed ? "Z" : "")
+        )
+        .join("");
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+const parser = new ExpressionParser();
+const analyzer = new FunctionAnalyzer(parser);
+const expressionList = document.getElementById("expressionList");
+const expressionTemplate = document.getElementById("expressionTemplate");
+const addExpressionButton = document.getElementById("addExpressionButton");
+const analysisSelect = document.getElementById("analysisSelect");
+const keyPointsContent = document.getElementById("keyPoints");
+const showFirstDerivative = document.getElementById("showFirstDerivative");
+const showSecondDerivative = document.getElementById("showSecondDerivative");
+const curveColors = {
+    firstDerivative: "#4fc3f7",
+    secondDerivative: "#ba68c8",
+};
+// Colors handed out to new curves, avoiding the derivative colors
+const palette = [
+    "#ff4444",
+    "#4caf50",
+    "#ff9800",
+    "#ffeb3b",
+    "#e91e63",
+    "#009688",
+    "#a1887f",
+    "#cddc39",
+];
+
+function showExpressionError(entry) {
+    const { input, highlight, yInput, yHighlight, errorMessage } =
+        entry.elements;
+    const error = entry.error;
+
+    // Underline the error in whichever input it came from
+    highlightError(input, highlight, entry.errorField === "x" ? error : null);
+    highlightError(yInput, yHighlight, entry.errorField === "y" ? error : null);
+    if (!error) {
+        errorMessage.style.display = "none";
+        return;
+    }
+
+    errorMessage.textContent =
+        entry.errorField === "range"
+            ? `${curveVariable(entry)} range: ${error.message}`
+            : error.message;
+    if (error.suggestion) {
+        const hint = document.createElement("div");
+        hint.className = "error-suggestion";
+        hint.textContent = `Hint: ${error.suggestion}`;
+        errorMessage.appendChild(hint);
+    }
+    errorMessage.style.display = "block";
+}
+
+// Underline the span of the input that a syntax error points at
+function highlightError(input, highlight, error) {
+    highlight.textContent = "";
+    if (!error || error.start === undefined) return;
+
+    const text = input.value;
+    const start = Math.min(error.start, text.length);
+    const end = Math.max(Math.min(error.end, text.length), start);
+
+    // Errors at the very end (e.g. "x +") get a placeholder to underline
+    const mark = document.createElement("mark");
+    mark.textContent = start === end ? " " : text.slice(start, end);
+    highlight.append(text.slice(0, start), mark, text.slice(end));
+    highlight.scrollLeft = input.scrollLeft;
+}
+
+// Where a point found by the analysis lies, as a + nP for a family
+function placeText(point) {
+    return point.period
+        ? `${analyzer.domains.repeatText(point.x, point.period)}, n ∈ ℤ`
+        : formatExact(point.x);
+}
+
+// Analysis panel line for the removable discontinuities of a function,
+// with the value the function approaches at each
+function holesHtml(holes) {
+    const shown = holes
+        .slice(0, 6)
+        .map(
+            (hole) => `x = ${placeText(hole)} (f → ${formatExact(hole.left)})`
+        );
+    if (holes.length > 6) shown.push("and more");
+    return `<p><strong>Removable discontinuit${
+        holes.length > 1 ? "ies" : "y"
+    }:</strong> ${shown.join("; ")}</p>`;
+}
+
+// Analysis panel lines for the asymptotes of a function: vertical ones
+// with the one-sided limits there, then horizontal and oblique lines with
+// the directions they are approached in
+function asymptotesHtml({ vertical, lines }) {
+    if (vertical.length === 0 && lines.length === 0) {
+        return "<p><strong>Asymptotes:</strong> none</p>";
+    }
+
+    const limit = (value, side) =>
+        Number.isNaN(value)
+            ? `undefined to the ${side}`
+            : value === null
+            ? `no limit from the ${side}`
+            : `→ ${
+                  value === Infinity ? "+∞" : formatExact(value)
+              } from the ${side}`;
+    // Many asymptotes are cut to the ones nearest the origin
+    const nearest = [...vertical]
+        .sort((a, b) => Math.abs(a.x) - Math.abs(b.x))
+        .slice(0, 6)
+        .sort((a, b) => a.x - b.x);
+    const shown = nearest.map((asymptote) => {
+        return `x = ${placeText(asymptote)} (${limit(
+            asymptote.left,
+            "left"
+        )}, ${limit(asymptote.right, "right")})`;
+    });
+    if (vertical.length > 6) shown.push("and more");
+
+    let html = "";
+    if (shown.length > 0) {
+        html += `<p><strong>Vertical asymptote${
+            vertical.length > 1 ? "s" : ""
+        }:</strong> ${shown.join("; ")}</p>`;
+    }
+    for (const line of lines) {
+        const kind = line.slope === 0 ? "Horizontal" : "Oblique";
+        const toward =
+            line.directions.length > 1
+                ? "±∞"
+                : line.directions[0] === Infinity
+                ? "∞"
+                : "-∞";
+        html += `<p><strong>${kind} asymptote:</strong> ${lineEquation(
+            line.slope,
+            line.intercept
+        )} (as x → ${toward})</p>`;
+    }
+    return html;
+}
+
+function showAnalysis(analysis, expression) {
+    let html = "";
+
+    if (analysis.isParametric) {
+        const { x, y, r, tMin, tMax, step } = analysis.curve;
+        if (r) {
+            html += `<p><strong>Type:</strong> Polar curve</p>`;
+            html += `<p><strong>r(θ) =</strong> ${parser.format(r.ast)}</p>`;
+        } else {
+            html += `<p><strong>Type:</strong> Parametric curve</p>`;
+            html += `<p><strong>x(t) =</strong> ${parser.format(x.ast)}</p>`;
+            html += `<p><strong>y(t) =</strong> ${parser.format(y.ast)}</p>`;
+        }
+        html += `<p><strong>${r ? "θ" : "t"}:</strong> ${formatCoordinate(
+            tMin
+        )} to ${formatCoordinate(tMax)} in steps of ${formatCoordinate(
+            step
+        )}</p>`;
+        if (analysis.isClosed) {
+            html += "<p>Closed: the curve ends where it starts</p>";
+        }
+    } else if (analysis.isInequality) {
+        const { left, right } = analysis.boundary;
+        html += `<p><strong>Type:</strong> Inequality</p>`;
+        html += `<p><strong>Boundary:</strong> ${parser.format(
+            left
+        )} = ${parser.format(right)}</p>`;
+        html += analysis.strict
+            ? "<p>Drawn dashed: the boundary is not part of the region</p>"
+            : "<p>Drawn solid: the boundary is part of the region</p>";
+        if (analysis.isFeasible) {
+            html +=
+                "<p>The region shared by every visible inequality is shaded as the feasible region</p>";
+        }
+    } else if (analysis.isRelation && analysis.isEmpty) {
+        html += `<p><strong>Type:</strong> Relation</p>`;
+        html += "<p>No part of the curve is in the visible window</p>";
+    } else if (analysis.isRelation && analysis.isFunction) {
+        html += `<p><strong>Type:</strong> <span style="color: #4CAF50;">Function</span> (defined implicitly)</p>`;
+        html +=
+            "<p>Passes the vertical line test in the visible window: each x meets the traced curve at most once</p>";
+    } else if (analysis.isFunction) {
+        html += `<p><strong>Type:</strong> <span style="color: #4CAF50;">Function</span></p>`;
+
+        // Domain and Range
+        if (analysis.domain) {
+            html += `<p><strong>Domain:</strong> ${analysis.domain}</p>`;
+        }
+        if (analysis.range) {
+            html += `<p><strong>Range:</strong> ${analysis.range}</p>`;
+        }
+        if (analysis.extrema) {
+            html += `<p><strong>Global maximum:</strong> ${analysis.extrema.maximum}</p>`;
+            html += `<p><strong>Global minimum:</strong> ${analysis.extrema.minimum}</p>`;
+        }
+        if (analysis.asymptotes) {
+            html += asymptotesHtml(analysis.asymptotes);
+        }
+        if (analysis.holes && analysis.holes.length > 0) {
+            html += holesHtml(analysis.holes);
+        }
+
+        if (analysis.derivatives.first) {
+            const first = parser.format(analysis.derivatives.first.ast);
+            const second = parser.format(analysis.derivatives.second.ast);
+            html += `<p><strong style="color: ${curveColors.firstDerivative};">f′(x) =</strong> ${first}</p>`;
+            html += `<p><strong style="color: ${curveColors.secondDerivative};">f″(x) =</strong> ${second}</p>`;
+        }
+
+        if (analysis.properties.length > 0) {
+            html += `<p><strong>Properties:</strong> ${analysis.properties.join(
+                ", "
+            )}</p>`;
+        }
+
+        // Additional details
+        html += "<p><strong>Details:</strong></p>";
+        html += "<ul>";
+
+        if (analysis.isEven) {
+            html += "<li>Symmetric about y-axis (f(-x) = f(x))</li>";
+        } else if (analysis.isOdd) {
+            html += "<li>Symmetric about origin (f(-x) = -f(x))</li>";
+        } else {
+            html += "<li>No symmetry about y-axis or origin</li>";
+        }
+
+        if (analysis.isOneToOne) {
+            html += "<li>Passes horizontal line test (injective)</li>";
+        } else {
+            html += "<li>Does not pass horizontal line test</li>";
+        }
+
+        html += "</ul>";
+    } else {
+        html += `<p><strong>Type:</strong> <span style="color: #FF9800;">Relation (not a function)</span></p>`;
+        html += "<p>Fails the vertical line test</p>";
+        if (analysis.witness) {
+            const { x, ys } = analysis.witness;
+            html += `<p>The line x = ${formatCoordinate(
+                x
+            )} meets it at y = ${formatCoordinate(
+                ys[0]
+            )} and y = ${formatCoordinate(ys[1])}</p>`;
+        }
+    }
+
+    document.getElementById("analysisContent").innerHTML = html;
+    document.getElementById("analysisContent").classList.add("show");
+    document.getElementById("noAnalysis").style.display = "none";
+}
+
+function hideAnalysis() {
+    document.getElementById("analysisContent").classList.remove("show");
+    document.getElementById("noAnalysis").style.display = "block";
+}
+
+// Label used for an expression in the list, the analysis picker and hover readout
+function expressionName(entry) {
+    return `y${expressions.indexOf(entry) + 1}`;
+}
+
+// Expressions that currently have a curve on the canvas
+function visiblePlots() {
+    return expressions.filter((entry) => entry.visible && entry.func);
+}
+
+function visibleRelations() {
+    return expressions.filter((entry) => entry.visible && entry.relation);
+}
+
+function visibleInequalities() {
+    return expressions.filter((entry) => entry.visible && entry.inequality);
+}
+
+function visibleParametrics() {
+    return expressions.filter((entry) => entry.visible && entry.parametric);
+}
+
+// Everything besides an expression's own text that its curve depends on
+function sessionKey() {
+    return [
+        Object.values(parser.definitions).map((definition) => definition.text),
+        parser.parameters,
+    ];
+}
+
+// Parse every row, definitions first: editing a definition changes every
+// plot that uses it, wherever that plot is in the list
+function parseExpressions() {
+    // Only y = f(x) rows can define functions
+    const definitions = parser.define(
+        expressions.map((entry) =>
+            entry.mode === "function" ? entry.text : ""
+        )
+    );
+    expressions.forEach((entry, i) => {
+        entry.definition = definitions[i];
+        parseExpression(entry);
+    });
+}
+
+function parseExpression(entry) {
+    entry.func = null;
+    entry.relation = null;
+    entry.parametric = null;
+    entry.inequality = null;
+    entry.error = null;
+    entry.errorField = "x";
+
+    if (entry.mode !== "function") {
+        parseParametric(entry);
+    } else if (entry.definition) {
+        // A definition row plots the function it defines
+        if (entry.definition.error) {
+            entry.error = entry.definition.error;
+        } else {
+            try {
+                entry.func = parser.parse(`${entry.definition.name}(x)`);
+            } catch (error) {
+                entry.error = error;
+            }
+        }
+    } else if (/[<>≤≥]/.test(parser.maskBraces(entry.text))) {
+        // An inequality shades the region on one side of its boundary,
+        // which is traced like an equation's curve
+        try {
+            entry.inequality = parser.parseInequality(entry.text);
+            entry.relation = entry.inequality.relation;
+        } catch (error) {
+            entry.error = error;
+        }
+    } else if (parser.maskBraces(entry.text).includes("=")) {
+        // An equation is either y = ... or a relation between x and y
+        try {
+            const equation = parser.parseEquation(entry.text);
+            entry.func = equation.func || null;
+            entry.relation = equation.relation || null;
+        } catch (error) {
+            entry.error = error;
+        }
+    } else if (entry.text.trim()) {
+        // Keep surrounding whitespace so error spans line up with the input text
+        try {
+            entry.func = parser.parse(entry.text);
+        } catch (error) {
+            entry.error = error;
+        }
+    }
+
+    showExpressionError(entry);
+}
+
+// The curve variable a row's range is given in: t, or θ for polar curves
+function curveVariable(entry) {
+    return entry.mode === "polar" ? "θ" : "t";
+}
+
+// A parametric row holds x(t) in the main input, with y(t) and the range
+// of t below it. A polar row holds r(θ), typed with theta or t, and is
+// plotted as the parametric curve (r cos θ, r sin θ). The range may use
+// parameters, so it is evaluated here and again whenever they change
+function parseParametric(entry) {
+    const isPolar = entry.mode === "polar";
+    const [variable, aliases] = isPolar ? ["theta", ["t"]] : ["t", []];
+    const symbol = curveVariable(entry);
+    if (!entry.text.trim() && (isPolar || !entry.yText.trim())) return;
+
+    try {
+        let x;
+        let y;
+        let r = null;
+        if (isPolar) {
+            r = parser.parse(entry.text, variable, aliases);
+            const theta = { type: "variable", name: variable };
+            x = parser.compile(
+                binary("*", r.ast, call("cos", theta)),
+                variable
+            );
+            y = parser.compile(
+                binary("*", r.ast, call("sin", theta)),
+                variable
+            );
+        } else {
+            x = parser.parse(entry.text, variable);
+            entry.errorField = "y";
+            y = parser.parse(entry.yText, variable);
+        }
+
+        entry.errorField = "range";
+        const bounds = ["min", "max", "step"].map((name) =>
+            parser.parse(entry.range[name], variable, aliases)
+        );
+        if (bounds.some((bound) => dependsOn(bound.ast, variable))) {
+            throw new Error(
+                `The range of ${symbol} must not depend on ${symbol}`
+            );
+        }
+        const [tMin, tMax, step] = bounds.map((bound) =>
+            parser.evaluate(bound, 0)
+        );
+        if (![tMin, tMax, step].every(isFinite)) {
+            throw new Error(`The range of ${symbol} must be finite numbers`);
+        }
+        if (tMin >= tMax) {
+            throw new Error(
+                `${symbol} must run from a smaller value to a larger one`
+            );
+        }
+        if (step <= 0) {
+            throw new Error("The step must be positive");
+        }
+        if ((tMax - tMin) / step > MAX_PARAMETRIC_POINTS) {
+            throw new Error(
+                `The step is too small: use at most ${MAX_PARAMETRIC_POINTS} points`
+            );
+        }
+
+        entry.parametric = {
+            x,
+            y,
+            r,
+            tMin,
+            tMax,
+            step,
+            trees: [x.ast, y.ast, ...bounds.map((bound) => bound.ast)],
+        };
+        entry.errorField = "x";
+    } catch (error) {
+        entry.error = error;
+    }
+}
+
+// Run the analyzer on whichever expression is picked in the analysis panel
+function updateAnalysis() {
+    const entry = expressions.find((e) => e.id === analyzedExpressionId);
+    currentDerivatives = { first: null, second: null };
+
+    if (!entry || (!entry.func && !entry.relation && !entry.parametric)) {
+        hideAnalysis();
+        return;
+    }
+
+    if (entry.parametric) {
+        const points = parametricPoints(entry);
+        const first = points[0];
+        const last = points.at(-1);
+        const size = Math.max(
+            ...points
+                .map((p) => Math.abs(p.x) + Math.abs(p.y))
+                .filter(isFinite),
+            1
+        );
+        showAnalysis(
+            {
+                isParametric: true,
+                curve: entry.parametric,
+                isClosed:
+                    Math.hypot(first.x - last.x, first.y - last.y) <
+                    1e-9 * size,
+            },
+            entry.text
+        );
+        return;
+    }
+
+    if (entry.inequality) {
+        showAnalysis(
+            {
+                isInequality: true,
+                boundary: entry.relation.ast,
+                strict: entry.inequality.strict,
+                isFeasible: entry.visible && visibleInequalities().length > 1,
+            },
+            entry.text
+        );
+        return;
+    }
+
+    if (entry.relation) {
+        const segments = currentContour(entry);
+        entry.contour.analyzed = true;
+        const witness = analyzer.verticalLineTest(
+            segments,
+            visibleBounds(),
+            canvas.width,
+            canvas.height
+        );
+        showAnalysis(
+            {
+                isRelation: true,
+                isFunction: !witness,
+                witness,
+                isEmpty: segments.length === 0,
+            },
+            entry.text
+        );
+        return;
+    }
+
+    const analysis = analyzer.analyzeFunction(entry.func);
+    currentDerivatives = analysis.derivatives;
+    showAnalysis(analysis, entry.text);
+}
+
+// Rebuild the analysis picker and the y1, y2, ... labels after list changes
+function refreshExpressionLabels() {
+    if (!expressions.some((e) => e.id === analyzedExpressionId)) {
+        analyzedExpressionId = expressions.length ? expressions[0].id : null;
+    }
+
+    analysisSelect.textContent = "";
+    for (const entry of expressions) {
+        const name = expressionName(entry);
+        const labels = {
+            function: `${name} =`,
+            parametric: `${name}: x(t) =`,
+            polar: `${name}: r(θ) =`,
+        };
+        entry.elements.label.textContent = labels[entry.mode];
+
+        const option = document.createElement("option");
+        option.value = entry.id;
+        const text = entry.text.trim() || "(empty)";
+        const options = {
+            function: `${name} = ${text}`,
+            parametric: `${name} = (${entry.text.trim() || "…"}, ${
+                entry.yText.trim() || "…"
+            })`,
+            polar: `${name}: r = ${text}`,
+        };
+        option.textContent = options[entry.mode];
+        option.selected = entry.id === analyzedExpressionId;
+        analysisSelect.appendChild(option);
+    }
+    refreshIntegralTargets();
+    refreshParameters();
+}
+
+function updateExpression(entry) {
+    const { input, yInput, tMin, tMax, tStep } = entry.elements;
+    entry.text = input.value;
+    entry.yText = yInput.value;
+    entry.range = { min: tMin.value, max: tMax.value, step: tStep.value };
+    parseExpressions();
+    refreshExpressionLabels();
+    updateAnalysis();
+    if (entry.trace) startAnimation();
+    render();
+}
+
+function addExpression(text = "", color = null) {
+    const row = expressionTemplate.content.firstElementChild.cloneNode(true);
+    const entry = {
+        id: nextExpressionId++,
+        text,
+        color: color || palette[expressions.length % palette.length],
+        visible: true,
+        mode: "function",
+        yText: "",
+        range: { min: "0", max: "2*pi", step: "0.01" },
+        func: null,
+        relation: null,
+        parametric: null,
+        inequality: null,
+        contour: null,
+        region: null,
+        samples: null,
+        trace: null,
+        error: null,
+        errorField: "x",
+        definition: null,
+        elements: {
+            row,
+            mode: row.querySelector(".expression-mode"),
+            label: row.querySelector(".expression-label"),
+            input: row.querySelector(".expression-input"),
+            highlight: row.querySelector(".input-highlight"),
+            parametricFields: row.querySelector(".parametric-fields"),
+            yField: row.querySelector(".parametric-y-field"),
+            rangeVariable: row.querySelector(".range-variable"),
+            yInput: row.querySelector(".parametric-y"),
+            yHighlight: row.querySelector(
+                ".parametric-fields .input-highlight"
+            ),
+            tMin: row.querySelector(".parametric-min"),
+            tMax: row.querySelector(".parametric-max"),
+            tStep: row.querySelector(".parametric-step"),
+            trace: row.querySelector(".parametric-trace"),
+            color: row.querySelector(".expression-color"),
+            visible: row.querySelector(".expression-visible input"),
+            remove: row.querySelector(".remove-expression"),
+            errorMessage: row.querySelector(".error-message"),
+        },
+    };
+    const { input, highlight, yInput, yHighlight, tMin, tMax, tStep } =
+        entry.elements;
+
+    input.value = text;
+    tMin.value = entry.range.min;
+    tMax.value = entry.range.max;
+    tStep.value = entry.range.step;
+    entry.elements.color.value = entry.color;
+
+    for (const field of [input, yInput, tMin, tMax, tStep]) {
+        field.addEventListener("input", () => updateExpression(entry));
+    }
+    input.addEventListener("scroll", () => {
+        highlight.scrollLeft = input.scrollLeft;
+    });
+    input.addEventListener("change", () => rememberExpression(entry));
+    yInput.addEventListener("scroll", () => {
+        yHighlight.scrollLeft = yInput.scrollLeft;
+    });
+    entry.elements.mode.addEventListener("change", () => {
+        entry.mode = entry.elements.mode.value;
+        showExpressionMode(entry);
+        updateExpression(entry);
+    });
+    entry.elements.trace.addEventListener("change", () => {
+        // The trace starts over at the beginning of the range
+        entry.trace = entry.elements.trace.checked ? { t: -Infinity } : null;
+        startAnimation();
+        render();
+    });
+    input.addEventListener("keypress", (event) => {
+        // Enter on the last row starts a new expression
+        if (event.key === "Enter" && entry === expressions.at(-1)) {
+            addExpression().elements.input.focus();
+        }
+    });
+    entry.elements.color.addEventListener("input", () => {
+        entry.color = entry.elements.color.value;
+        render();
+    });
+    entry.elements.visible.addEventListener("change", () => {
+        entry.visible = entry.elements.visible.checked;
+        render();
+    });
+    entry.elements.remove.addEventListener("click", () =>
+        removeExpression(entry)
+    );
+
+    expressions.push(entry);
+    expressionList.appendChild(row);
+    parseExpressions();
+    refreshExpressionLabels();
+    render();
+    return entry;
+}
+
+// Show the inputs that the row's kind of curve needs
+function showExpressionMode(entry) {
+    const { mode, input, parametricFields, yField, rangeVariable } =
+        entry.elements;
+    const placeholders = {
+        function: "x^2 + 2*x + 1",
+        parametric: "cos(t)",
+        polar: "1 + cos(theta)",
+    };
+
+    mode.value = entry.mode;
+    parametricFields.hidden = entry.mode === "function";
+    yField.hidden = entry.mode !== "parametric";
+    rangeVariable.textContent = curveVariable(entry);
+    input.placeholder = placeholders[entry.mode];
+}
+
+function removeExpression(entry) {
+    expressions = expressions.filter((e) => e !== entry);
+    entry.elements.row.remove();
+
+    // Always leave one row to type into
+    if (expressions.length === 0) {
+        addExpression();
+    }
+
+    // Plots may have used a function this row defined
+    parseExpressions();
+    refreshExpressionLabels();
+    updateAnalysis();
+    render();
+}
+
+// Event listeners
+addExpressionButton.addEventListener("click", () => {
+    addExpression().elements.input.focus();
+});
+analysisSelect.addEventListener("change", () => {
+    analyzedExpressionId = Number(analysisSelect.value);
+    refreshIntegralTargets();
+    updateAnalysis();
+    render();
+});
+showFirstDerivative.addEventListener("change", () => render());
+showSecondDerivative.addEventListener("change", () => render());
+
+// Sliders for the free parameters used by the expressions
+const parameterPanel = document.getElementById("parameterPanel");
+const parameterList = document.getElementById("parameterList");
+const parameterTemplate = document.getElementById("parameterTemplate");
+const PARAMETER_SWEEP_SECONDS = 4; // Time for one pass across the range
+const ANALYSIS_DELAY = 300; // Milliseconds a parameter rests before analysis
+
+function refreshParameters() {
+    const used = new Set();
+    for (const entry of expressions) {
+        const trees = entry.parametric
+            ? entry.parametric.trees
+            : [(entry.func || entry.relation || {}).ast];
+        for (const tree of trees) {
+            if (tree) collectParameters(parser.inline(tree), used);
+        }
+    }
+
+    for (const [name, control] of parameterControls) {
+        if (!used.has(name)) {
+            control.elements.row.remove();
+            parameterControls.delete(name);
+        }
+    }
+    for (const name of [...used].sort()) {
+        if (!parameterControls.has(name)) {
+            parameterControls.set(name, createParameterControl(name));
+        }
+        parameterList.appendChild(parameterControls.get(name).elements.row);
+    }
+
+    parameterPanel.hidden = used.size === 0;
+}
+
+function createParameterControl(name) {
+    const row = parameterTemplate.content.firstElementChild.cloneNode(true);
+    const elements = {
+        row,
+        name: row.querySelector(".parameter-name"),
+        value: row.querySelector(".parameter-value"),
+        play: row.querySelector(".parameter-play"),
+        mode: row.querySelector(".parameter-mode"),
+        slider: row.querySelector(".parameter-slider"),
+        min: row.querySelector(".parameter-min"),
+        step: row.querySelector(".parameter-step"),
+        max: row.querySelector(".parameter-max"),
+    };
+    const control = {
+        name,
+        elements,
+        limits: { min: -10, max: 10, step: 0.1 },
+        playing: false,
+        direction: 1,
+    };
+
+    elements.name.textContent = `${name} =`;
+    elements.min.value = control.limits.min;
+    elements.step.value = control.limits.step;
+    elements.max.value = control.limits.max;
+    applyParameterLimits(control);
+
+    elements.slider.addEventListener("input", () => {
+        setParameter(control, Number(elements.slider.value));
+    });
+    elements.value.addEventListener("change", () => {
+        const value = Number(elements.value.value);
+        if (elements.value.value.trim() === "" || !isFinite(value)) {
+            showParameterValue(control);
+            return;
+        }
+
+        // Typing a value outside the slider widens it
+        control.limits.min = Math.min(control.limits.min, value);
+        control.limits.max = Math.max(control.limits.max, value);
+        elements.min.value = control.limits.min;
+        elements.max.value = control.limits.max;
+        applyParameterLimits(control);
+        setParameter(control, value);
+    });
+    for (const input of [elements.min, elements.step, elements.max]) {
+        input.addEventListener("change", () => applyParameterLimits(control));
+    }
+    elements.play.addEventListener("click", () =>
+        toggleParameterAnimation(control)
+    );
+
+    return control;
+}
+
+// Take min, step and max from their inputs, or put the last good values
+// back when they do not describe a usable range
+function applyParameterLimits(control) {
+    const { elements } = control;
+    const min = Number(elements.min.value);
+    const step = Number(elements.step.value);
+    const max = Number(elements.max.value);
+
+    if ([min, step, max].every(isFinite) && min < max && step > 0) {
+        control.limits = { min, step, max };
+    } else {
+        elements.min.value = control.limits.min;
+        elements.step.value = control.limits.step;
+        elements.max.value = control.limits.max;
+    }
+
+    elements.slider.min = control.limits.min;
+    elements.slider.step = control.limits.step;
+    elements.slider.max = control.limits.max;
+
+    const value = parser.parameters[control.name];
+    const clamped = Math.min(
+        Math.max(value, control.limits.min),
+        control.limits.max
+    );
+    if (clamped !== value) {
+        setParameter(control, clamped);
+    } else {
+        showParameterValue(control);
+    }
+}
+
+function showParameterValue(control) {
+    const value = parser.parameters[control.name];
+    control.elements.value.value = String(parseFloat(value.toPrecision(6)));
+    control.elements.slider.value = String(value);
+}
+
+function setParameter(control, value, refresh = true) {
+    parser.parameters[control.name] = value;
+    showParameterValue(control);
+    if (refresh) parametersChanged();
+}
+
+// Compiled functions read parameters when evaluated, so only parametric
+// and polar ranges, the analysis and the picture need to catch up. The
+// analysis can take seconds, so while a slider is dragged or a parameter
+// plays it waits for the value to rest, unless settled says it has
+function parametersChanged(settled = false) {
+    for (const entry of expressions) {
+        if (entry.mode !== "function") parseExpression(entry);
+    }
+    clearTimeout(analysisTimer);
+    if (settled) {
+        updateAnalysis();
+    } else {
+        analysisTimer = setTimeout(updateAnalysis, ANALYSIS_DELAY);
+    }
+    render();
+}
+
+function toggleParameterAnimation(control) {
+    control.playing = !control.playing;
+    control.elements.play.textContent = control.playing ? "⏸" : "▶";
+    control.elements.play.title = control.playing ? "Pause" : "Animate";
+
+    startAnimation();
+}
+
+// Playing parameters and traced parametric curves share one animation loop,
+// which runs while either has something to move
+function startAnimation() {
+    if (!animation) {
+        animation = {
+            last: performance.now(),
+            frame: requestAnimationFrame(animate),
+        };
+    }
+}
+
+function animate(time) {
+    const playing = [...parameterControls.values()].filter((c) => c.playing);
+    const tracing = expressions.filter((e) => e.trace && e.parametric);
+    if (playing.length === 0 && tracing.length === 0) {
+        animation = null;
+        return;
+    }
+
+    // Frames can be far apart, e.g. while the tab is hidden
+    const elapsed = Math.min((time - animation.last) / 1000, 0.1);
+    animation.last = time;
+
+    for (const entry of tracing) {
+        advanceTrace(entry, elapsed);
+    }
+    if (playing.length > 0) {
+        advanceParameters(playing, elapsed);
+        parametersChanged();
+    } else {
+        render();
+    }
+    animation.frame = requestAnimationFrame(animate);
+}
+
+// Advance every playing parameter, wrapping around at the ends of its
+// range in loop mode and turning back in bounce mode
+function advanceParameters(playing, elapsed) {
+    for (const control of playing) {
+        const { min, max } = control.limits;
+        let value =
+            parser.parameters[control.name] +
+            (control.direction * (max - min) * elapsed) /
+                PARAMETER_SWEEP_SECONDS;
+
+        if (value > max || value < min) {
+            if (control.elements.mode.value === "bounce") {
+                value = value > max ? 2 * max - value : 2 * min - value;
+                control.direction = -control.direction;
+            } else {
+                value = value > max ? min + (value - max) : max - (min - value);
+            }
+        }
+        setParameter(control, Math.min(Math.max(value, min), max), false);
+    }
+}
+
+// Keep zoom within the range where floating-point coordinates stay accurate
+const MIN_SCALE = 1e-6;
+const MAX_SCALE = 1e8;
+
+const piLabels = document.getElementById("piLabels");
+const windowDialog = document.getElementById("windowDialog");
+const windowError = document.getElementById("windowError");
+const windowInputs = {
+    xMin: document.getElementById("windowXMin"),
+    xMax: document.getElementById("windowXMax"),
+    yMin: document.getElementById("windowYMin"),
+    yMax: document.getElementById("windowYMax"),
+};
+
+function defaultViewport() {
+    return { centerX: 0, centerY: 0, scaleX: 20, scaleY: 20 };
+}
+
+// Logical bounds of the area currently shown on the canvas
+function visibleBounds() {
+    const halfWidth = canvas.width / (2 * viewport.scaleX);
+    const halfHeight = canvas.height / (2 * viewport.scaleY);
+    return {
+        xMin: viewport.centerX - halfWidth,
+        xMax: viewport.centerX + halfWidth,
+        yMin: viewport.centerY - halfHeight,
+        yMax: viewport.centerY + halfHeight,
+    };
+}
+
+function setVisibleBounds(xMin, xMax, yMin, yMax) {
+    viewport = {
+        centerX: (xMin + xMax) / 2,
+        centerY: (yMin + yMax) / 2,
+        scaleX: clampScale(canvas.width / (xMax - xMin)),
+        scaleY: clampScale(canvas.height / (yMax - yMin)),
+    };
+}
+
+function clampScale(scale) {
+    return Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+}
+
+// Zoom by the given factors while keeping the canvas point (px, py) fixed
+function zoomAt(px, py, factorX, factorY = factorX) {
+    const [x, y] = canvasToLogical(px, py);
+    viewport.scaleX = clampScale(viewport.scaleX * factorX);
+    viewport.scaleY = clampScale(viewport.scaleY * factorY);
+    viewport.centerX = x - (px - canvas.width / 2) / viewport.scaleX;
+    viewport.centerY = y + (py - canvas.height / 2) / viewport.scaleY;
+}
+
+function canvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+}
+
+// Zoom handler, anchored at the cursor. Shift zooms only x, Alt only y.
+canvas.addEventListener("wheel", (event) => {
+    event.preventDefault();
+    const [px, py] = canvasPoint(event);
+    // Some browsers report shift+wheel as horizontal scrolling
+    const delta = event.deltaY || event.deltaX;
+    const factor = delta < 0 ? 1.1 : 1 / 1.1;
+    zoomAt(px, py, event.altKey ? 1 : factor, event.shiftKey ? 1 : factor);
+    render();
+});
+
+// Make one y unit as long as one x unit again
+document.getElementById("equalScaleButton").addEventListener("click", () => {
+    viewport.scaleY = viewport.scaleX;
+    render();
+});
+
+piLabels.addEventListener("change", () => render());
+
+function drawLine(startX, startY, endX, endY, color) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    ctx.lineTo(endX, endY);
+    ctx.closePath();
+    ctx.stroke();
+}
+
+function logicalToCanvas(x, y) {
+    return [
+        canvas.width / 2 + (x - viewport.centerX) * viewport.scaleX,
+        canvas.height / 2 - (y - viewport.centerY) * viewport.scaleY,
+    ];
+}
+
+function canvasToLogical(px, py) {
+    return [
+        viewport.centerX + (px - canvas.width / 2) / viewport.scaleX,
+        viewport.centerY - (py - canvas.height / 2) / viewport.scaleY,
+    ];
+}
+
+// Drag to pan
+canvas.addEventListener("mousedown", (event) => {
+    const [px, py] = canvasPoint(event);
+    dragStart = {
+        px,
+        py,
+        centerX: viewport.centerX,
+        centerY: viewport.centerY,
+        bound: boundAt(px),
+    };
+    canvas.style.cursor = dragStart.bound ? "ew-resize" : "grabbing";
+});
+
+window.addEventListener("mouseup", () => {
+    // A drag should not also count as a click on a marker
+    suppressClick = Boolean(dragStart && dragStart.moved);
+    dragStart = null;
+    canvas.style.cursor = "";
+});
+
+canvas.addEventListener("mousemove", (event) => {
+    const [mouseX, mouseY] = canvasPoint(event);
+
+    if (dragStart) {
+        if (Math.hypot(mouseX - dragStart.px, mouseY - dragStart.py) > 3) {
+            dragStart.moved = true;
+        }
+        if (dragStart.bound) {
+            dragBound(dragStart.bound, mouseX);
+        } else {
+            viewport.centerX =
+                dragStart.centerX - (mouseX - dragStart.px) / viewport.scaleX;
+            viewport.centerY =
+                dragStart.centerY + (mouseY - dragStart.py) / viewport.scaleY;
+        }
+    } else {
+        canvas.style.cursor = boundAt(mouseX) ? "ew-resize" : "";
+    }
+
+    // Convert to logical coordinates
+    const [logicalX, logicalY] = canvasToLogical(mouseX, mouseY);
+    mouseCoord = { x: logicalX, y: logicalY, px: mouseX, py: mouseY };
+    render();
+});
+
+// Clicking a key point marker pins or unpins its coordinate label
+canvas.addEventListener("click", (event) => {
+    if (suppressClick) {
+        suppressClick = false;
+        return;
+    }
+
+    const [mouseX, mouseY] = canvasPoint(event);
+    let nearest = null;
+    let nearestDistance = 8;
+    for (const point of keyPointCache.points) {
+        const [px, py] = logicalToCanvas(point.x, point.y);
+        const distance = Math.hypot(px - mouseX, py - mouseY);
+        if (distance < nearestDistance) {
+            nearest = point;
+            nearestDistance = distance;
+        }
+    }
+
+    if (nearest) {
+        const key = pointKey(nearest);
+        if (pinnedPoints.has(key)) pinnedPoints.delete(key);
+        else pinnedPoints.add(key);
+        render();
+    }
+});
+
+document.getElementById("resetViewButton").addEventListener("click", () => {
+    viewport = defaultViewport();
+    render();
+});
+
+// Window dialog for typing exact bounds
+document.getElementById("windowButton").addEventListener("click", () => {
+    const bounds = visibleBounds();
+    for (const [key, input] of Object.entries(windowInputs)) {
+        input.value = String(parseFloat(bounds[key].toPrecision(6)));
+    }
+    windowError.textContent = "";
+    windowDialog.showModal();
+});
+
+document.getElementById("windowCancel").addEventListener("click", () => {
+    windowDialog.close();
+});
+
+document.getElementById("windowForm").addEventListener("submit", (event) => {
+    event.preventDefault();
+    // Bounds may be constants such as 2*pi, like the table's settings
+    const bounds = {};
+    try {
+        for (const [key, input] of Object.entries(windowInputs)) {
+            const name = `${key[0]} ${key.slice(1).toLowerCase()}`;
+            bounds[key] = parseConstant(input.value, `The ${name}`);
+        }
+    } catch (error) {
+        windowError.textContent = error.message;
+        return;
+    }
+
+    if (!Object.values(bounds).every((value) => isFinite(value))) {
+        windowError.textContent = "All four bounds must be finite numbers";
+        return;
+    }
+    if (bounds.xMin >= bounds.xMax || bounds.yMin >= bounds.yMax) {
+        windowError.textContent = "Each minimum must be less than its maximum";
+        return;
+    }
+
+    setVisibleBounds(bounds.xMin, bounds.xMax, bounds.yMin, bounds.yMax);
+    windowDialog.close();
+    render();
+});
+
+canvas.addEventListener("mouseleave", () => {
+    mouseCoord = null;
+    render();
+});
+
+// Vertical asymptotes of func in [xMin, xMax]. Candidates come from a
+// fixed-step scan and are then moved to where |func| peaks
+function findAsymptotes(func, xMin, xMax) {
+    const asymptotes = [];
+    const xRange = xMax - xMin;
+
+    // Adaptive step size based on zoom level
+    const step = xRange / 2000; // More points when zoomed in
+
+    // Adaptive threshold based on current scale
+    const yThreshold = canvas.height / (4 * viewport.scaleY); // Scale with zoom
+
+    // Scan for vertical asymptotes
+    for (let x = xMin; x <= xMax; x += step) {
+        const y = parser.evaluate(func, x);
+        const yLeft = parser.evaluate(func, x - step);
+        const yRight = parser.evaluate(func, x + step);
+
+        // Method 1: Check for infinite or NaN values with finite neighbors
+        if (!isFinite(y)) {
+            if (isFinite(yLeft) && isFinite(yRight)) {
+                asymptotes.push(x);
+                continue;
+            }
+        }
+
+        // Method 2: Check for sign changes in large values
+        if (isFinite(yLeft) && isFinite(yRight) && isFinite(y)) {
+            if (Math.abs(yLeft) > yThreshold && Math.abs(yRight) > yThreshold) {
+                if (Math.sign(yLeft) !== Math.sign(yRight)) {
+                    asymptotes.push(x);
+                    continue;
+                }
+            }
+        }
+
+        // Method 3: Check for very large slope changes (derivative spikes)
+        if (isFinite(yLeft) && isFinite(yRight)) {
+            const slope1 = Math.abs(y - yLeft) / step;
+            const slope2 = Math.abs(yRight - y) / step;
+            const maxSlope = Math.max(slope1, slope2);
+
+            if (maxSlope > yThreshold / step) {
+                // Check if values go to opposite infinities
+                if (
+                    (yLeft > yThreshold && yRight < -yThreshold) ||
+                    (yLeft < -yThreshold && yRight > yThreshold)
+                ) {
+                    asymptotes.push(x);
+                }
+            }
+        }
+    }
+
+    // Remove duplicate asymptotes that are too close together
+    const cleanedAsymptotes = [];
+    const minDistance = step * 10;
+
+    for (const asym of asymptotes) {
+        if (
+            !cleanedAsymptotes.some(
+                (existing) => Math.abs(existing - asym) < minDistance
+            )
+        ) {
+            cleanedAsymptotes.push(asym);
+        }
+    }
+
+    const magnitude = (x) => {
+        const y = Math.abs(parser.evaluate(func, x));
+        return Number.isNaN(y) ? 0 : -y;
+    };
+    // A jump between pieces looks like a sign change of large values and a
+    // hole like (x^2 - 1)/(x - 1) at 1 is undefined at one sample, so
+    // candidates must really blow up. A piece can also blow up on one side
+    // of a boundary only, which the scan misses
+    const boundaries = analyzer
+        .pieceBoundaries(func)
+        .filter((b) => b >= xMin && b <= xMax);
+    const found = cleanedAsymptotes
+        .map((x) => analyzer.minimize(magnitude, x - step, x + step))
+        .filter((x) => analyzer.isPole(func, x, step * 1e-3));
+    for (const b of boundaries) {
+        if (
+            !found.some((x) => Math.abs(b - x) < minDistance) &&
+            analyzer.isPole(func, b, step * 1e-3)
+        ) {
+            found.push(b);
+        }
+    }
+    return found;
+}
+
+// Dashed lines for the vertical asymptotes of func in view and for the
+// horizontal or oblique lines it approaches, each labelled with its equation
+function drawAsymptotes(func, color) {
+    const { xMin, xMax, yMin, yMax } = visibleBounds();
+    const vertical = viewCached(func, "asymptotes", () =>
+        findAsymptotes(func, xMin, xMax)
+    );
+    const lines = sessionCached(func, "lines", () =>
+        analyzer.endAsymptotes(func)
+    );
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1;
+    ctx.font = "12px monospace";
+    ctx.setLineDash([5, 5]);
+
+    for (const asymptoteX of vertical) {
+        const [px] = logicalToCanvas(asymptoteX, 0);
+        if (px >= 0 && px <= canvas.width) {
+            ctx.beginPath();
+            ctx.moveTo(px, 0);
+            ctx.lineTo(px, canvas.height);
+            ctx.stroke();
+            // Located numerically, so matched to exact values loosely
+            const exact = exactValue(asymptoteX, 1e-6);
+            const label = exact ? exact.text : formatCoordinate(asymptoteX);
+            ctx.globalAlpha = 1;
+            ctx.fillText(`x = ${label}`, px + 4, 14);
+            ctx.globalAlpha = 0.5;
+        }
+    }
+
+    for (const { slope, intercept } of lines) {
+        // The stretch of x where the line is within the window
+        let from = xMin;
+        let to = xMax;
+        if (slope !== 0) {
+            const a = (yMin - intercept) / slope;
+            const b = (yMax - intercept) / slope;
+            from = Math.max(xMin, Math.min(a, b));
+            to = Math.min(xMax, Math.max(a, b));
+        } else if (intercept < yMin || intercept > yMax) {
+            continue;
+        }
+        if (from >= to) continue;
+
+        const start = logicalToCanvas(from, slope * from + intercept);
+        const end = logicalToCanvas(to, slope * to + intercept);
+        ctx.beginPath();
+        ctx.moveTo(...start);
+        ctx.lineTo(...end);
+        ctx.stroke();
+
+        // Label just inside the right end, above the line
+        const x = to - (to - from) * 0.05;
+        const [px, py] = logicalToCanvas(x, slope * x + intercept);
+        ctx.globalAlpha = 1;
+        ctx.textAlign = "right";
+        ctx.fillText(lineEquation(slope, intercept), px, Math.max(py - 6, 12));
+        ctx.textAlign = "start";
+        ctx.globalAlpha = 0.5;
+    }
+
+    ctx.setLineDash([]); // Reset line dash
+    ctx.globalAlpha = 1;
+}
+
+// Plot y = func(x) across the canvas from its cached samples, only where
+// within(x) is finite when given
+function drawCurve(func, color, within = null) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const lines = viewCached(func, "curve", () => sampleCurve(func, within));
+    for (const line of lines) {
+        ctx.moveTo(line[0][0], line[0][1]);
+        for (const [px, py] of line.slice(1)) ctx.lineTo(px, py);
+    }
+    ctx.stroke();
+}
+
+// Results for one compiled function that hold until the window or the
+// session changes, so hovering and redrawing reuse them. A new expression
+// compiles to a new function and starts afresh
+function viewCached(func, name, compute) {
+    const key = JSON.stringify([
+        visibleBounds(),
+        canvas.width,
+        canvas.height,
+        sessionKey(),
+    ]);
+    let cached = viewCache.get(func);
+    if (!cached || cached.key !== key) {
+        cached = { key };
+        viewCache.set(func, cached);
+    }
+    if (!(name in cached)) cached[name] = compute();
+    return cached[name];
+}
+
+// Results for one compiled function that do not depend on the window, so
+// they hold until the session changes
+function sessionCached(func, name, compute) {
+    const key = JSON.stringify(sessionKey());
+    let cached = sessionCache.get(func);
+    if (!cached || cached.key !== key) {
+        cached = { key };
+        sessionCache.set(func, cached);
+    }
+    if (!(name in cached)) cached[name] = compute();
+    return cached[name];
+}
+
+const CURVE_SPACING = 2; // Pixels between the first samples
+const CURVE_DEPTH = 12; // Most times an interval is halved
+const CURVE_TOLERANCE = 0.25; // Pixels a chord may stray from the curve
+const CURVE_JUMP = 4; // Pixels a curve may rise over the finest interval
+const CURVE_BUDGET = 100000; // Most evaluations for one curve
+const CURVE_LIMIT = 1e6; // Pixels beyond which points are pulled in
+
+// Polylines in canvas pixels tracing y = func(x) across the canvas.
+// Samples every few pixels are refined by halving any interval whose
+// midpoint strays from the chord, so flat stretches stay cheap while bends
+// and oscillations get detail. Halving also homes in on the edges of the
+// domain and on jumps: a rise that persists over the finest interval is a
+// discontinuity, so the line stops there instead of joining across it.
+// Points where within(x) is not finite are left out like undefined ones
+function sampleCurve(func, within = null) {
+    const lines = [];
+    let line = null;
+    let budget = CURVE_BUDGET;
+
+    const sample = (px) => {
+        budget--;
+        const [x] = canvasToLogical(px, 0);
+        if (within && !isFinite(parser.evaluate(within, x))) return [px, NaN];
+        const y = parser.evaluate(func, x);
+        if (!isFinite(y)) return [px, NaN];
+        const [, py] = logicalToCanvas(x, y);
+        return [px, Math.min(Math.max(py, -CURVE_LIMIT), CURVE_LIMIT)];
+    };
+    const add = (point) => {
+        if (Number.isNaN(point[1])) {
+            line = null;
+        } else {
+            if (!line) lines.push((line = []));
+            line.push(point);
+        }
+    };
+    const offScreen = (points) =>
+        points.every((point) => point[1] < 0) ||
+        points.every((point) => point[1] > canvas.height);
+
+    // Add the samples in (a, b], a having been added already
+    const refine = (a, b, depth) => {
+        const definedA = !Number.isNaN(a[1]);
+        const definedB = !Number.isNaN(b[1]);
+        // Features narrower than the first spacing are not searched for
+        if (!definedA && !definedB) return;
+        if (depth >= CURVE_DEPTH || budget <= 0) {
+            if (definedA && definedB && Math.abs(b[1] - a[1]) > CURVE_JUMP) {
+                line = null;
+            }
+            add(b);
+            return;
+        }
+
+        const m = sample((a[0] + b[0]) / 2);
+        if (definedA && definedB && !Number.isNaN(m[1])) {
+            const error = Math.abs(m[1] - (a[1] + b[1]) / 2);
+            if (error <= CURVE_TOLERANCE || offScreen([a, m, b])) {
+                add(m);
+                add(b);
+                return;
+            }
+        }
+        refine(a, m, depth + 1);
+        refine(m, b, depth + 1);
+    };
+
+    const intervals = Math.ceil(canvas.width / CURVE_SPACING);
+    let previous = sample(0);
+    add(previous);
+    for (let i = 1; i <= intervals; i++) {
+        const next = sample((i * canvas.width) / intervals);
+        refine(previous, next, 0);
+        previous = next;
+    }
+    return lines.filter((points) => points.length > 1);
+}
+
+// Boundaries of a piecewise or restricted function where the curve does not
+// simply continue, with the values at and just either side of each
+function pieceEnds(func) {
+    const h = 0.001 / viewport.scaleX;
+    const tolerance = 0.5 / viewport.scaleY;
+    const near = (a, b) =>
+        isFinite(a) && isFinite(b) && Math.abs(a - b) < tolerance;
+
+    return analyzer
+        .pieceBoundaries(func)
+        .map((x) => ({
+            x,
+            y: parser.evaluate(func, x),
+            left: parser.evaluate(func, x - h),
+            right: parser.evaluate(func, x + h),
+        }))
+        .filter((end) => !(near(end.left, end.y) && near(end.right, end.y)));
+}
+
+// Closed dots where a piece includes its endpoint and open dots where a
+// piece only approaches it
+function drawEndpoints(func, color) {
+    const tolerance = 0.5 / viewport.scaleY;
+    ctx.lineWidth = 2;
+
+    for (const end of viewCached(func, "ends", () => pieceEnds(func))) {
+        const dots = [];
+        if (isFinite(end.y)) dots.push({ y: end.y, closed: true });
+        for (const side of [end.left, end.right]) {
+            if (
+                isFinite(side) &&
+                !dots.some((dot) => Math.abs(dot.y - side) < tolerance)
+            ) {
+                dots.push({ y: side, closed: false });
+            }
+        }
+
+        for (const dot of dots) {
+            const [px, py] = logicalToCanvas(end.x, dot.y);
+            if (px < 0 || px > canvas.width || py < 0 || py > canvas.height) {
+                continue;
+            }
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, 2 * Math.PI);
+            ctx.fillStyle = dot.closed ? color : "black";
+            ctx.fill();
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        }
+    }
+}
+
+// Open circles at the removable discontinuities of func, single points the
+// curve passes over. Those at piece boundaries are left to drawEndpoints
+function drawHoles(func, color) {
+    const { xMin, xMax } = visibleBounds();
+    const holes = sessionCached(
+        func,
+        "holes",
+        () => analyzer.analyzeDiscontinuities(func).holes
+    );
+    const boundaries = analyzer.pieceBoundaries(func);
+    ctx.lineWidth = 2;
+
+    for (const hole of holes) {
+        const xs = [hole.x];
+        if (hole.period && (xMax - xMin) / hole.period < 500) {
+            xs.length = 0;
+            const first = Math.ceil((xMin - hole.x) / hole.period);
+            for (let n = first; hole.x + n * hole.period <= xMax; n++) {
+                xs.push(hole.x + n * hole.period);
+            }
+        }
+
+        for (const x of xs) {
+            if (boundaries.some((b) => Math.abs(b - x) < 1e-9)) continue;
+            const [px, py] = logicalToCanvas(x, hole.left);
+            if (px < 0 || px > canvas.width || py < 0 || py > canvas.height) {
+                continue;
+            }
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, 2 * Math.PI);
+            ctx.fillStyle = "black";
+            ctx.fill();
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        }
+    }
+}
+
+// Traced segments of a relation in the current window. Tracing starts from
+// 8 px cells and refines down to single pixels around the curve
+function currentContour(entry) {
+    const bounds = visibleBounds();
+    const key = JSON.stringify([
+        bounds,
+        canvas.width,
+        canvas.height,
+        entry.text,
+        sessionKey(),
+    ]);
+    if (entry.contour && entry.contour.key === key) {
+        return entry.contour.segments;
+    }
+
+    const segments = analyzer.traceRelation(
+        entry.relation,
+        bounds,
+        Math.ceil(canvas.width / 8),
+        Math.ceil(canvas.height / 8)
+    );
+    entry.contour = { key, segments };
+    return segments;
+}
+
+// The vertical line test covers the window, so an analyzed relation is
+// analyzed again whenever its contour is traced again
+function currentRelationAnalysis() {
+    const entry = expressions.find((e) => e.id === analyzedExpressionId);
+    if (!entry || !entry.relation || entry.inequality) return;
+    currentContour(entry);
+    if (!entry.contour.analyzed) updateAnalysis();
+}
+
+function drawRelation(entry) {
+    const segments = currentContour(entry);
+    ctx.strokeStyle = entry.color;
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+
+    if (entry.inequality && entry.inequality.strict) {
+        // The boundary of a strict inequality is dashed like an asymptote,
+        // which needs whole polylines for the dashes to run along
+        if (!entry.contour.lines) {
+            const { xMin, xMax } = visibleBounds();
+            const tolerance = (xMax - xMin) / canvas.width / 100;
+            entry.contour.lines = chainSegments(segments, tolerance);
+        }
+        ctx.setLineDash([5, 5]);
+        for (const line of entry.contour.lines) {
+            ctx.moveTo(...logicalToCanvas(...line[0]));
+            for (const point of line.slice(1)) {
+                ctx.lineTo(...logicalToCanvas(...point));
+            }
+        }
+    } else {
+        for (const [x1, y1, x2, y2] of segments) {
+            ctx.moveTo(...logicalToCanvas(x1, y1));
+            ctx.lineTo(...logicalToCanvas(x2, y2));
+        }
+    }
+
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.lineCap = "butt";
+}
+
+// Join traced segments that share endpoints into polylines [[x, y], ...].
+// Neighbouring cells compute shared points separately, so endpoints match
+// when they agree to within tolerance
+function chainSegments(segments, tolerance) {
+    const key = (x, y) =>
+        `${Math.round(x / tolerance)},${Math.round(y / tolerance)}`;
+    const ends = new Map();
+    segments.forEach(([x1, y1, x2, y2], i) => {
+        for (const end of [key(x1, y1), key(x2, y2)]) {
+            if (!ends.has(end)) ends.set(end, []);
+            ends.get(end).push(i);
+        }
+    });
+
+    const used = new Uint8Array(segments.length);
+    const extend = (line, x, y) => {
+        for (;;) {
+            const here = key(x, y);
+            const next = (ends.get(here) || []).find((i) => !used[i]);
+            if (next === undefined) return line;
+            used[next] = 1;
+            const [x1, y1, x2, y2] = segments[next];
+            [x, y] = key(x1, y1) === here ? [x2, y2] : [x1, y1];
+            line.push([x, y]);
+        }
+    };
+
+    const lines = [];
+    segments.forEach(([x1, y1, x2, y2], i) => {
+        if (used[i]) return;
+        used[i] = 1;
+        const backward = extend([], x1, y1).reverse();
+        const forward = extend(
+            [
+                [x1, y1],
+                [x2, y2],
+            ],
+            x2,
+            y2
+        );
+        lines.push([...backward, ...forward]);
+    });
+    return lines;
+}
+
+// Inequalities: each shades where it holds, and when there are several the
+// region where all of them hold is shaded again as the feasible region
+const FEASIBLE_COLOR = "#ffffff";
+
+function insideInequality(entry, x, y) {
+    const value = entry.inequality.sign * entry.relation(x, y);
+    return entry.inequality.strict ? value > 0 : value >= 0;
+}
+
+// Where an inequality holds in the current window, from 4 px cells refined
+// to single pixels along its boundary
+function currentRegion(entry) {
+    const key = regionKey([entry]);
+    if (entry.region && entry.region.key === key) {
+        return entry.region.rectangles;
+    }
+
+    const rectangles = analyzer.regionRectangles(
+        (x, y) => insideInequality(entry, x, y),
+        visibleBounds(),
+        Math.ceil(canvas.width / 4),
+        Math.ceil(canvas.height / 4)
+    );
+    entry.region = { key, rectangles };
+    return rectangles;
+}
+
+function currentFeasibleRegion(inequalities) {
+    const key = regionKey(inequalities);
+    if (feasibleCache.key === key) return feasibleCache.rectangles;
+
+    const rectangles = analyzer.regionRectangles(
+        (x, y) => inequalities.every((entry) => insideInequality(entry, x, y)),
+        visibleBounds(),
+        Math.ceil(canvas.width / 4),
+        Math.ceil(canvas.height / 4)
+    );
+    feasibleCache = { key, rectangles };
+    return rectangles;
+}
+
+function regionKey(entries) {
+    return JSON.stringify([
+        visibleBounds(),
+        canvas.width,
+        canvas.height,
+        entries.map((entry) => entry.text),
+        sessionKey(),
+    ]);
+}
+
+function drawRegion(rectangles, color, alpha) {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = alpha;
+    for (const [x1, y1, x2, y2] of rectangles) {
+        // Round so neighbouring rectangles neither overlap nor leave seams
+        const [left, top] = logicalToCanvas(x1, y2).map(Math.round);
+        const [right, bottom] = logicalToCanvas(x2, y1).map(Math.round);
+        ctx.fillRect(left, top, right - left, bottom - top);
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Corners of the feasible region: points where two boundaries cross that
+// lie in every other region, allowing a pixel for boundaries through them
+function feasibleCorners(inequalities) {
+    const { xMin, xMax, yMin, yMax } = visibleBounds();
+    const pixel = Math.max(
+        (xMax - xMin) / canvas.width,
+        (yMax - yMin) / canvas.height
+    );
+    const holds = (entry, x, y) =>
+        [
+            [0, 0],
+            [pixel, 0],
+            [-pixel, 0],
+            [0, pixel],
+            [0, -pixel],
+        ].some(([dx, dy]) => insideInequality(entry, x + dx, y + dy));
+
+    const corners = [];
+    for (let i = 0; i < inequalities.length; i++) {
+        for (let j = i + 1; j < inequalities.length; j++) {
+            const crossings = analyzer.relationIntersections(
+                inequalities[i].relation,
+                inequalities[j].relation,
+                currentContour(inequalities[i]),
+                currentContour(inequalities[j]),
+                pixel
+            );
+            for (const { x, y } of crossings) {
+                if (!inequalities.every((entry) => holds(entry, x, y))) {
+                    continue;
+                }
+                if (corners.some((c) => Math.hypot(c.x - x, c.y - y) < pixel)) {
+                    continue;
+                }
+                corners.push({
+                    x,
+                    y,
+                    kind: "corner",
+                    color: FEASIBLE_COLOR,
+                    label: "Feasible region",
+                });
+            }
+        }
+    }
+    return corners;
+}
+
+// Parametric curves
+const MAX_PARAMETRIC_POINTS = 100000;
+const TRACE_SECONDS = 6; // Time for the traced point to cover the range of t
+
+// Points { t, x, y } of a parametric curve across its range of t. They do
+// not depend on the window, so they are kept until the curve changes
+function parametricPoints(entry) {
+    const { tMin, tMax, step } = entry.parametric;
+    const key = JSON.stringify([
+        entry.mode,
+        entry.text,
+        entry.yText,
+        tMin,
+        tMax,
+        step,
+        sessionKey(),
+    ]);
+    if (entry.samples && entry.samples.key === key) {
+        return entry.samples.points;
+    }
+
+    const points = [];
+    const count = Math.ceil((tMax - tMin) / step - 1e-9);
+    for (let i = 0; i <= count; i++) {
+        points.push(parametricPoint(entry, Math.min(tMin + i * step, tMax)));
+    }
+    entry.samples = { key, points };
+    return points;
+}
+
+function parametricPoint(entry, t) {
+    const { x, y, r } = entry.parametric;
+    if (r) {
+        // Polar points keep r for the hover readout
+        const radius = parser.evaluate(r, t);
+        return {
+            t,
+            r: radius,
+            x: radius * Math.cos(t),
+            y: radius * Math.sin(t),
+        };
+    }
+    return { t, x: parser.evaluate(x, t), y: parser.evaluate(y, t) };
+}
+
+const HOVER_CELL = 10; // Pixels across a hover cell, the snapping distance
+
+// The on-screen samples of a parametric curve sorted into square cells of
+// the canvas, so hovering only checks the cells around the mouse instead of
+// every sample. Sorted again when the window changes
+function parametricCells(entry) {
+    const points = parametricPoints(entry);
+    const key = JSON.stringify([visibleBounds(), canvas.width, canvas.height]);
+    if (entry.samples.cells && entry.samples.cells.key === key) {
+        return entry.samples.cells.grid;
+    }
+
+    const grid = new Map();
+    for (const point of points) {
+        const [px, py] = logicalToCanvas(point.x, point.y);
+        if (
+            !(px >= -HOVER_CELL && px <= canvas.width + HOVER_CELL) ||
+            !(py >= -HOVER_CELL && py <= canvas.height + HOVER_CELL)
+        ) {
+            continue;
+        }
+        const cell = `${Math.floor(px / HOVER_CELL)},${Math.floor(
+            py / HOVER_CELL
+        )}`;
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push({ ...point, px, py });
+    }
+    entry.samples.cells = { key, grid };
+    return grid;
+}
+
+// Plot (x(t), y(t)) from its polylines for the current window
+function drawParametric(entry) {
+    ctx.strokeStyle = entry.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const line of parametricLines(entry)) {
+        ctx.moveTo(line[0][0], line[0][1]);
+        for (const [px, py] of line.slice(1)) ctx.lineTo(px, py);
+    }
+    ctx.stroke();
+}
+
+// Polylines in canvas pixels through the samples of a parametric curve,
+// kept until the window changes. The path breaks where the curve does, as
+// sampleCurve decides for y = f(x): t is halved between two samples while
+// the middle strays from their chord, and a gap that persists down to the
+// finest halving is a jump. A coarse step is taken to mean a polygon, such
+// as a star, whose long edges are meant to be drawn
+function parametricLines(entry) {
+    const points = parametricPoints(entry);
+    const key = JSON.stringify([visibleBounds(), canvas.width, canvas.height]);
+    if (entry.samples.lines && entry.samples.lines.key === key) {
+        return entry.samples.lines.lines;
+    }
+
+    const { tMin, tMax, step } = entry.parametric;
+    const polygon = step > (tMax - tMin) / 100;
+    const offScreenLimit = Math.max(canvas.width, canvas.height) * 10;
+    let budget = CURVE_BUDGET;
+
+    // { t, px, py }, with null coordinates where the curve is undefined or
+    // too far off screen to draw
+    const locate = ({ t, x, y }) => {
+        const [px, py] = logicalToCanvas(x, y);
+        const shown =
+            isFinite(px) &&
+            isFinite(py) &&
+            Math.abs(px - canvas.width / 2) <= offScreenLimit &&
+            Math.abs(py - canvas.height / 2) <= offScreenLimit;
+        return shown ? { t, px, py } : { t, px: null, py: null };
+    };
+    const offScreen = (samples) =>
+        samples.every((sample) => sample.px < 0) ||
+        samples.every((sample) => sample.px > canvas.width) ||
+        samples.every((sample) => sample.py < 0) ||
+        samples.every((sample) => sample.py > canvas.height);
+    const joins = (a, b, depth) => {
+        const gap = Math.hypot(b.px - a.px, b.py - a.py);
+        if (gap <= CURVE_JUMP) return true;
+        if (depth >= CURVE_DEPTH || budget <= 0) return false;
+        budget--;
+        const m = locate(parametricPoint(entry, (a.t + b.t) / 2));
+        if (m.px === null) return false;
+        const error = Math.hypot(
+            m.px - (a.px + b.px) / 2,
+            m.py - (a.py + b.py) / 2
+        );
+        if (error <= CURVE_TOLERANCE || offScreen([a, m, b])) return true;
+        return joins(a, m, depth + 1) && joins(m, b, depth + 1);
+    };
+
+    const lines = [];
+    let line = null;
+    let previous = null;
+    for (const point of points) {
+        const sample = locate(point);
+        if (sample.px === null) {
+            line = previous = null;
+            continue;
+        }
+        if (!previous || !(polygon || joins(previous, sample, 0))) {
+            lines.push((line = []));
+        }
+        line.push([sample.px, sample.py]);
+        previous = sample;
+    }
+    entry.samples.lines = {
+        key,
+        lines: lines.filter((points) => points.length > 1),
+    };
+    return entry.samples.lines.lines;
+}
+
+// Move a traced point along its curve, starting over at the end of the range
+function advanceTrace(entry, elapsed) {
+    const { tMin, tMax } = entry.parametric;
+    let t = entry.trace.t + ((tMax - tMin) * elapsed) / TRACE_SECONDS;
+
+    if (!(t >= tMin && t <= tMax)) t = tMin;
+    entry.trace.t = t;
+}
+
+function drawTracePoint(entry) {
+    const { x, y, tMin, tMax } = entry.parametric;
+    const t = Math.min(Math.max(entry.trace.t, tMin), tMax);
+    const [px, py] = logicalToCanvas(
+        parser.evaluate(x, t),
+        parser.evaluate(y, t)
+    );
+    if (!isFinite(px) || !isFinite(py)) return;
+
+    ctx.beginPath();
+    ctx.arc(px, py, 6, 0, 2 * Math.PI);
+    ctx.fillStyle = entry.color;
+    ctx.fill();
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.font = "12px monospace";
+    ctx.fillStyle = "#fff";
+    ctx.fillText(`${curveVariable(entry)} = ${t.toFixed(2)}`, px + 10, py + 18);
+}
+
+// Round a raw spacing up to a "nice" 1, 2 or 5 x 10^n step
+function niceStep(rawStep) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+    if (normalized <= 1) return magnitude;
+    if (normalized <= 2) return 2 * magnitude;
+    if (normalized <= 5) return 5 * magnitude;
+    return 10 * magnitude;
+}
+
+// Like niceStep, but in multiples of π, allowing π/12 ... π/2 when zoomed in
+function piStep(rawStep) {
+    const units = rawStep / Math.PI;
+    const fraction = [1 / 12, 1 / 6, 1 / 4, 1 / 2].find((f) => units <= f);
+    return (fraction || niceStep(units)) * Math.PI;
+}
+
+// Label a tick value with just enough decimals for the step size
+function formatTick(value, step) {
+    if (Math.abs(value) < step / 2) return "0";
+    if (Math.abs(value) >= 1e6 || step < 1e-4) {
+        return parseFloat(value.toPrecision(12)).toExponential();
+    }
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return value.toFixed(decimals);
+}
+
+// Label a multiple of π as a reduced fraction, e.g. 3π/4 or -2π
+function formatPiTick(value) {
+    const twelfths = Math.round((value / Math.PI) * 12);
+    if (twelfths === 0) return "0";
+
+    const divisor = gcd(twelfths, 12);
+    const numerator = twelfths / divisor;
+    const denominator = 12 / divisor;
+
+    let label =
+        numerator === 1 ? "π" : numerator === -1 ? "-π" : `${numerator}π`;
+    if (denominator !== 1) label += `/${denominator}`;
+    return label;
+}
+
+// Minor gridlines per major step: 2-steps split into quarters, 1- and
+// 5-steps into fifths
+function minorDivisions(step) {
+    return Math.round(step / Math.pow(10, Math.floor(Math.log10(step)))) === 2
+        ? 4
+        : 5;
+}
+
+// Tick positions across [min, max] for the given step
+function tickValues(min, max, step) {
+    const ticks = [];
+    for (let i = Math.ceil(min / step); i * step <= max; i++) {
+        ticks.push(i * step);
+    }
+    return ticks;
+}
+
+// Draw minor and major gridlines, the axes and their numeric labels
+function drawGrid() {
+    const bounds = visibleBounds();
+    const usePi = piLabels.checked;
+    const targetSpacing = 80; // Pixels between labelled ticks
+
+    const majorX = usePi
+        ? piStep(targetSpacing / viewport.scaleX)
+        : niceStep(targetSpacing / viewport.scaleX);
+    const majorY = niceStep(targetSpacing / viewport.scaleY);
+    const minorX = usePi ? majorX / 4 : majorX / minorDivisions(majorX);
+    const minorY = majorY / minorDivisions(majorY);
+
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 1;
+
+    const gridLines = (stepX, stepY, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (const x of tickValues(bounds.xMin, bounds.xMax, stepX)) {
+            const [px] = logicalToCanvas(x, 0);
+            ctx.moveTo(Math.round(px) + 0.5, 0);
+            ctx.lineTo(Math.round(px) + 0.5, canvas.height);
+        }
+        for (const y of tickValues(bounds.yMin, bounds.yMax, stepY)) {
+            const [, py] = logicalToCanvas(0, y);
+            ctx.moveTo(0, Math.round(py) + 0.5);
+            ctx.lineTo(canvas.width, Math.round(py) + 0.5);
+        }
+        ctx.stroke();
+    };
+    gridLines(minorX, minorY, "rgba(255, 255, 255, 0.06)");
+    gridLines(majorX, majorY, "rgba(255, 255, 255, 0.18)");
+
+    // Draw axes where they cross the visible window
+    const [originX, originY] = logicalToCanvas(0, 0);
+    if (originX >= 0 && originX <= canvas.width) {
+        drawLine(originX, 0, originX, canvas.height, "white");
+    }
+    if (originY >= 0 && originY <= canvas.height) {
+        drawLine(0, originY, canvas.width, originY, "white");
+    }
+
+    // Labels follow their axis, but stick to the edge when it is off-screen
+    const labelX = Math.min(Math.max(originY + 4, 4), canvas.height - 16);
+    const labelY = Math.min(Math.max(originX - 4, 4), canvas.width - 4);
+    const yAlign = originX - 4 < 30 ? "left" : "right";
+
+    ctx.font = "12px monospace";
+    ctx.fillStyle = "#aaa";
+    ctx.textBaseline = "top";
+    ctx.textAlign = "center";
+    for (const x of tickValues(bounds.xMin, bounds.xMax, majorX)) {
+        const label = usePi ? formatPiTick(x) : formatTick(x, majorX);
+        if (label === "0") continue;
+        const [px] = logicalToCanvas(x, 0);
+        ctx.fillText(label, px, labelX);
+    }
+
+    ctx.textBaseline = "middle";
+    ctx.textAlign = yAlign;
+    for (const y of tickValues(bounds.yMin, bounds.yMax, majorY)) {
+        const label = formatTick(y, majorY);
+        if (label === "0") continue;
+        const [, py] = logicalToCanvas(0, y);
+        ctx.fillText(
+            label,
+            yAlign === "left" ? Math.max(originX + 4, 4) : labelY,
+            py
+        );
+    }
+
+    // Single origin label
+    if (
+        originX >= 0 &&
+        originX <= canvas.width &&
+        originY >= 0 &&
+        originY <= canvas.height
+    ) {
+        ctx.textAlign = "right";
+        ctx.textBaseline = "top";
+        ctx.fillText("0", originX - 4, originY + 4);
+    }
+
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+}
+
+// Draw circles of constant r and spokes every 15°, in place of the
+// Cartesian grid. Radii are labelled along θ = 0 and angles, in degrees or
+// multiples of π, where their spokes leave the canvas
+function drawPolarGrid() {
+    const bounds = visibleBounds();
+    const usePi = piLabels.checked;
+    const targetSpacing = 80; // Pixels between labelled circles
+    const major = niceStep(
+        targetSpacing / Math.min(viewport.scaleX, viewport.scaleY)
+    );
+    const minor = major / minorDivisions(major);
+
+    // Radii that cross the window: from its nearest point to the origin
+    // out to its farthest corner
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const rMin = Math.hypot(
+        clamp(0, bounds.xMin, bounds.xMax),
+        clamp(0, bounds.yMin, bounds.yMax)
+    );
+    const rMax = Math.max(
+        ...[bounds.xMin, bounds.xMax].flatMap((x) =>
+            [bounds.yMin, bounds.yMax].map((y) => Math.hypot(x, y))
+        )
+    );
+    const [originX, originY] = logicalToCanvas(0, 0);
+
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 1;
+
+    const circles = (step, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (const r of tickValues(rMin, rMax, step)) {
+            if (r <= 0) continue;
+            ctx.moveTo(originX + r * viewport.scaleX, originY);
+            ctx.ellipse(
+                originX,
+                originY,
+                r * viewport.scaleX,
+                r * viewport.scaleY,
+                0,
+                0,
+                2 * Math.PI
+            );
+        }
+        ctx.stroke();
+    };
+    const spokes = (degrees, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let angle = 0; angle < 360; angle += degrees) {
+            const theta = (angle * Math.PI) / 180;
+            ctx.moveTo(originX, originY);
+            ctx.lineTo(
+                ...logicalToCanvas(
+                    rMax * Math.cos(theta),
+                    rMax * Math.sin(theta)
+                )
+            );
+        }
+        ctx.stroke();
+    };
+    circles(minor, "rgba(255, 255, 255, 0.06)");
+    spokes(15, "rgba(255, 255, 255, 0.06)");
+    circles(major, "rgba(255, 255, 255, 0.18)");
+    spokes(30, "rgba(255, 255, 255, 0.18)");
+
+    // Draw axes where they cross the visible window
+    if (originX >= 0 && originX <= canvas.width) {
+        drawLine(originX, 0, originX, canvas.height, "white");
+    }
+    if (originY >= 0 && originY <= canvas.height) {
+        drawLine(0, originY, canvas.width, originY, "white");
+    }
+
+    ctx.font = "12px monospace";
+    ctx.fillStyle = "#aaa";
+
+    // Radius labels follow the positive x-axis, sticking to the edge when
+    // it is off-screen
+    const labelY = clamp(originY + 4, 4, canvas.height - 16);
+    ctx.textBaseline = "top";
+    ctx.textAlign = "center";
+    for (const r of tickValues(Math.max(rMin, major), rMax, major)) {
+        const px = originX + r * viewport.scaleX;
+        if (px < 0 || px > canvas.width) continue;
+        ctx.fillText(formatTick(r, major), px, labelY);
+    }
+
+    // Angle labels sit just inside the canvas edge where each spoke leaves it
+    const margin = 16;
+    ctx.textBaseline = "middle";
+    for (let angle = 0; angle < 360; angle += 30) {
+        const theta = (angle * Math.PI) / 180;
+        const direction = [
+            Math.cos(theta) * viewport.scaleX,
+            -Math.sin(theta) * viewport.scaleY,
+        ];
+        const origin = [originX, originY];
+        const size = [canvas.width, canvas.height];
+
+        let enter = 0;
+        let exit = Infinity;
+        for (let axis = 0; axis < 2; axis++) {
+            const low = margin;
+            const high = size[axis] - margin;
+            if (Math.abs(direction[axis]) < 1e-12) {
+                if (origin[axis] < low || origin[axis] > high) exit = -1;
+                continue;
+            }
+            const a = (low - origin[axis]) / direction[axis];
+            const b = (high - origin[axis]) / direction[axis];
+            enter = Math.max(enter, Math.min(a, b));
+            exit = Math.min(exit, Math.max(a, b));
+        }
+        if (exit <= enter) continue;
+
+        ctx.fillText(
+            usePi ? formatPiTick(theta) : `${angle}°`,
+            originX + direction[0] * exit,
+            originY + direction[1] * exit
+        );
+    }
+
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+}
+
+// An angle in radians for display, in degrees or as a multiple of π to
+// match the grid labels
+function formatAngle(theta) {
+    if (piLabels.checked) return `${(theta / Math.PI).toFixed(2)}π`;
+    return `${((theta * 180) / Math.PI).toFixed(1)}°`;
+}
+
+// Identity of a key point that survives recomputation
+function pointKey(point) {
+    return `${point.kind}:${point.x.toFixed(6)}:${point.y.toFixed(6)}`;
+}
+
+// Round a coordinate for display, avoiding "-0"
+function formatCoordinate(value) {
+    const rounded = parseFloat(value.toFixed(4));
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+// Key points of the analyzed function and intersections of visible curves,
+// recomputed only when the window or the plotted expressions change
+function currentKeyPoints() {
+    const { xMin, xMax } = visibleBounds();
+    const plots = visiblePlots();
+    const inequalities = visibleInequalities();
+    const key = JSON.stringify([
+        xMin,
+        xMax,
+        analyzedExpressionId,
+        plots.map((entry) => [entry.id, entry.text, entry.color]),
+        sessionKey(),
+        // Feasible region corners depend on the whole window
+        inequalities.length > 1 ? regionKey(inequalities) : null,
+    ]);
+    if (keyPointCache.key === key) return keyPointCache.points;
+
+    const points = searchKeyPoints(plots, xMin, xMax).filter(
+        (point) => point.x >= xMin && point.x <= xMax
+    );
+    if (inequalities.length > 1) {
+        points.push(...feasibleCorners(inequalities));
+    }
+
+    keyPointCache = { key, points };
+    showKeyPoints(points);
+    return points;
+}
+
+const KEY_POINT_PADDING = 1; // Window widths searched past each side
+
+// Key points of the analyzed function and crossings between the plots,
+// searched for over the window padded on both sides so that panning only
+// filters them. Zooming searches again, as the search spacing follows the
+// window width, and so each window-wide piece is searched on its own
+function searchKeyPoints(plots, xMin, xMax) {
+    const width = xMax - xMin;
+    const key = JSON.stringify([
+        canvas.width,
+        viewport.scaleX,
+        analyzedExpressionId,
+        plots.map((entry) => [entry.id, entry.text, entry.color]),
+        sessionKey(),
+    ]);
+    const cached = keySearchCache;
+    if (cached.key === key && xMin >= cached.xMin && xMax <= cached.xMax) {
+        return cached.points;
+    }
+
+    const from = xMin - KEY_POINT_PADDING * width;
+    const to = xMax + KEY_POINT_PADDING * width;
+    const points = [];
+    const add = (point) => {
+        // Pieces share their ends, where a point can be found twice
+        const seen = points.some(
+            (other) =>
+                other.kind === point.kind &&
+                other.label === point.label &&
+                Math.abs(other.x - point.x) <= width * 1e-9
+        );
+        if (!seen) points.push(point);
+    };
+
+    const analyzed = plots.find((entry) => entry.id === analyzedExpressionId);
+    for (let a = from; a < to - width / 2; a += width) {
+        const b = Math.min(a + width, to);
+        if (analyzed) {
+            const found = analyzer.findKeyPoints(
+                analyzed.func,
+                currentDerivatives,
+                a,
+                b
+            );
+            for (const point of found) {
+                add({
+                    ...point,
+                    color: analyzed.color,
+                    label: expressionName(analyzed),
+                });
+            }
+        }
+
+        for (let i = 0; i < plots.length; i++) {
+            for (let j = i + 1; j < plots.length; j++) {
+                const crossings = analyzer.findIntersections(
+                    plots[i].func,
+                    plots[j].func,
+                    a,
+                    b
+                );
+                for (const point of crossings) {
+                    add({
+                        ...point,
+                        color: "#fff",
+                        label: `${expressionName(plots[i])} ∩ ${expressionName(
+                            plots[j]
+                        )}`,
+                    });
+                }
+            }
+        }
+    }
+
+    keySearchCache = { key, xMin: from, xMax: to, points };
+    return points;
+}
+
+// List key points in the analysis panel, grouped by kind
+function showKeyPoints(points) {
+    const groups = [
+        ["zero", "x-intercepts"],
+        ["y-intercept", "y-intercept"],
+        ["maximum", "Local maxima"],
+        ["minimum", "Local minima"],
+        ["inflection", "Inflection points"],
+        ["intersection", "Intersections"],
+        ["corner", "Feasible region corners"],
+    ];
+    const shown = 12; // Oscillating curves can have hundreds
+
+    let html = "";
+    for (const [kind, title] of groups) {
+        const matches = points.filter((point) => point.kind === kind);
+        if (matches.length === 0) continue;
+
+        html += `<p><strong>${title}:</strong></p><ul>`;
+        for (const point of matches.slice(0, shown)) {
+            const prefix = kind === "intersection" ? `${point.label}: ` : "";
+            html += `<li>${prefix}(${formatCoordinate(
+                point.x
+            )}, ${formatCoordinate(point.y)})</li>`;
+        }
+        if (matches.length > shown) {
+            html += `<li>… and ${matches.length - shown} more</li>`;
+        }
+        html += "</ul>";
+    }
+
+    keyPointsContent.innerHTML = html
+        ? `<h4>Key Points (visible window)</h4>${html}`
+        : "";
+}
+
+// Draw a marker for each key point, with labels on the pinned ones
+function drawKeyPoints(points) {
+    ctx.lineWidth = 1.5;
+    ctx.font = "12px monospace";
+
+    for (const point of points) {
+        const [px, py] = logicalToCanvas(point.x, point.y);
+        if (px < 0 || px > canvas.width || py < 0 || py > canvas.height) {
+            continue;
+        }
+
+        ctx.beginPath();
+        ctx.arc(px, py, 4, 0, 2 * Math.PI);
+        ctx.fillStyle = point.color;
+        ctx.fill();
+        // White markers for crossings of curves get a dark outline
+        const crossing =
+            point.kind === "intersection" || point.kind === "corner";
+        ctx.strokeStyle = crossing ? "#000" : "#fff";
+        ctx.stroke();
+
+        if (pinnedPoints.has(pointKey(point))) {
+            const text = `(${formatCoordinate(point.x)}, ${formatCoordinate(
+                point.y
+            )})`;
+            const width = ctx.measureText(text).width;
+            ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+            ctx.fillRect(px + 6, py - 22, width + 8, 18);
+            ctx.fillStyle = "#fff";
+            ctx.fillText(text, px + 10, py - 9);
+        }
+    }
+}
+
+// Definite integrals of the analyzed function, down to the x-axis or to
+// another curve
+const integralEnabled = document.getElementById("integralEnabled");
+const integralInputs = {
+    a: document.getElementById("integralA"),
+    b: document.getElementById("integralB"),
+};
+const integralTarget = document.getElementById("integralTarget");
+const riemannMethod = document.getElementById("riemannMethod");
+const riemannSlices = document.getElementById("riemannSlices");
+const integralResult = document.getElementById("integralResult");
+const integralTints = {
+    positive: "rgba(102, 187, 106, 0.35)",
+    negative: "rgba(239, 83, 80, 0.35)",
+};
+
+// The value of a constant setting such as 2*pi. A free letter is refused
+// rather than made into a new parameter, so the panel gains no slider
+function parseConstant(text, setting) {
+    // Plain numbers, including ones written like 1e-7, are taken as they are
+    const number = Number(text);
+    if (text.trim() !== "" && isFinite(number)) return number;
+
+    const known = new Set(Object.keys(parser.parameters));
+    let func;
+    try {
+        func = parser.parse(text);
+    } finally {
+        for (const name of Object.keys(parser.parameters)) {
+            if (!known.has(name)) delete parser.parameters[name];
+        }
+    }
+    const letters = dependsOn(func.ast, "x") ? ["x"] : [];
+    letters.push(...collectParameters(parser.inline(func.ast)));
+    if (letters.length > 0) {
+        throw new Error(`${setting} must not depend on ${letters[0]}`);
+    }
+    return parser.evaluate(func, 0);
+}
+
+// A bound is a constant expression such as 2*pi, or ±inf
+function parseBound(text) {
+    const infinity = /^([+-]?)(inf|infinity|∞)$/i.exec(text.trim());
+    if (infinity) return infinity[1] === "-" ? -Infinity : Infinity;
+    return parseConstant(text, "Integral bounds");
+}
+
+function formatBound(value) {
+    if (value === Infinity) return "∞";
+    if (value === -Infinity) return "−∞";
+    return formatCoordinate(value);
+}
+
+function refreshIntegralTargets() {
+    const selected = integralTarget.value;
+    integralTarget.textContent = "";
+    integralTarget.appendChild(new Option("x-axis", ""));
+    for (const entry of expressions) {
+        if (
+            entry.id === analyzedExpressionId ||
+            entry.relation ||
+            entry.mode !== "function"
+        ) {
+            continue;
+        }
+        const option = new Option(expressionName(entry), entry.id);
+        option.selected = String(entry.id) === selected;
+        integralTarget.appendChild(option);
+    }
+}
+
+// The curves and bounds to integrate, { error } when they are unusable, or
+// null when the integral is switched off
+function integralSetup() {
+    if (!integralEnabled.checked) return null;
+
+    const entry = expressions.find((e) => e.id === analyzedExpressionId);
+    if (!entry || !entry.func) {
+        return { error: "Enter a valid function to integrate" };
+    }
+    const other =
+        expressions.find((e) => String(e.id) === integralTarget.value) || null;
+    if (other && !other.func) {
+        return { error: `${expressionName(other)} is not a valid function` };
+    }
+
+    let a;
+    let b;
+    try {
+        a = parseBound(integralInputs.a.value);
+        b = parseBound(integralInputs.b.value);
+    } catch (error) {
+        return { error: error.message };
+    }
+    if (Number.isNaN(a) || Number.isNaN(b)) {
+        return { error: "Integral bounds must be numbers" };
+    }
+
+    const slices = Math.round(Number(riemannSlices.value));
+    return {
+        entry,
+        other,
+        a,
+        b,
+        method: riemannMethod.value,
+        slices: Math.min(Math.max(slices || 1, 1), 1000),
+    };
+}
+
+// The integral set up in the panel with its result, recomputed and shown
+// only when the curves or the settings change
+function currentIntegral() {
+    const setup = integralSetup();
+    const key = JSON.stringify(
+        setup && !setup.error
+            ? [
+                  setup.entry.id,
+                  setup.entry.text,
+                  setup.other && [setup.other.id, setup.other.text],
+                  String(setup.a),
+                  String(setup.b),
+                  setup.method,
+                  setup.slices,
+                  sessionKey(),
+              ]
+            : setup
+    );
+    if (integralCache.key === key) return integralCache.integral;
+
+    const integral = setup && !setup.error ? computeIntegral(setup) : null;
+    integralCache = { key, integral };
+    showIntegral(setup, integral && integral.result);
+    return integral;
+}
+
+function computeIntegral(setup) {
+    const { entry, other, a, b, method, slices } = setup;
+    const f = entry.func;
+    const g = other && other.func;
+
+    // Split at the poles of either curve; infinite ends are scanned for a
+    // fixed distance beyond the finite part of the interval
+    const from = Math.min(a, b);
+    const to = Math.max(a, b);
+    const scanMin = isFinite(from) ? from : Math.min(to, 0) - 100;
+    const scanMax = isFinite(to) ? to : Math.max(from, 0) + 100;
+    const breakpoints = [];
+    for (const func of g ? [f, g] : [f]) {
+        breakpoints.push(
+            ...analyzer.findPoles(
+                func,
+                scanMin,
+                scanMax,
+                findAsymptotes(func, scanMin, scanMax)
+            )
+        );
+    }
+
+    const result = analyzer.integrate(f, g, a, b, breakpoints);
+    if (isFinite(result.value)) {
+        const gap = (x) =>
+            Math.abs(parser.evaluate(f, x) - (g ? parser.evaluate(g, x) : 0));
+        result.area = analyzer.integrate(
+            gap,
+            null,
+            from,
+            to,
+            breakpoints
+        ).value;
+    }
+    if (method !== "none" && isFinite(a) && isFinite(b)) {
+        result.riemann = analyzer.riemannSum(f, g, a, b, slices, method);
+    }
+
+    return { setup, result };
+}
+
+function showIntegral(setup, result) {
+    integralResult.textContent = "";
+    if (!setup) return;
+    if (setup.error) {
+        const warning = document.createElement("span");
+        warning.className = "integral-warning";
+        warning.textContent = setup.error;
+        integralResult.appendChild(warning);
+        return;
+    }
+
+    const { entry, other, a, b, method, slices } = setup;
+    const name = expressionName(entry);
+    const integrand = other ? `(${name} − ${expressionName(other)})` : name;
+    const integral = `∫<sub>${formatBound(a)}</sub><sup>${formatBound(
+        b
+    )}</sup> ${integrand} dx`;
+
+    const lines = [];
+    if (result.status === "undefined") {
+        lines.push(
+            `<span class="integral-warning">${integral} is undefined: the integrand is not defined on the whole interval</span>`
+        );
+    } else if (result.status === "divergent") {
+        lines.push(
+            `<span class="integral-warning">${integral} diverges</span>`
+        );
+    } else if (result.status === "unresolved") {
+        lines.push(
+            `<span class="integral-warning">${integral} could not be determined numerically</span>`
+        );
+    } else {
+        let value = `${integral} ≈ ${formatNumber(result.value)}`;
+        if (result.error > 1e-9 * (1 + Math.abs(result.value))) {
+            value += ` ± ${result.error.toPrecision(2)}`;
+        }
+        if (result.status === "improper") value += " (improper, converges)";
+        lines.push(value);
+        // Only worth showing when some of the area lies below the target
+        if (
+            isFinite(result.area) &&
+            Math.abs(result.area - Math.abs(result.value)) >
+                1e-9 * (1 + result.area)
+        ) {
+            lines.push(`Total area ≈ ${formatNumber(result.area)}`);
+        }
+    }
+
+    if (result.riemann) {
+        const label = method[0].toUpperCase() + method.slice(1);
+        lines.push(
+            `${label} sum (n = ${slices}) ≈ ${formatNumber(
+                result.riemann.value
+            )}`
+        );
+    }
+    integralResult.innerHTML = lines.join("<br>");
+}
+
+// Fills between the analyzed curve and its target one pixel column at a
+// time, tinted by the sign of the difference
+function drawIntegralShading(setup) {
+    const { entry, other, a, b } = setup;
+    const from = Math.min(a, b);
+    const to = Math.max(a, b);
+    const [startX] = logicalToCanvas(from, 0);
+    const [endX] = logicalToCanvas(to, 0);
+    const clampY = (py) => Math.min(Math.max(py, -1), canvas.height + 1);
+
+    for (
+        let px = Math.max(0, Math.floor(startX));
+        px < Math.min(canvas.width, Math.ceil(endX));
+        px++
+    ) {
+        const [x] = canvasToLogical(px + 0.5, 0);
+        if (x < from || x > to) continue;
+
+        const y = parser.evaluate(entry.func, x);
+        const base = other ? parser.evaluate(other.func, x) : 0;
+        if (!isFinite(y) || !isFinite(base)) continue;
+
+        const top = clampY(logicalToCanvas(x, y)[1]);
+        const bottom = clampY(logicalToCanvas(x, base)[1]);
+        ctx.fillStyle =
+            y >= base ? integralTints.positive : integralTints.negative;
+        ctx.fillRect(px, Math.min(top, bottom), 1, Math.abs(top - bottom));
+    }
+}
+
+function drawRiemannSlices(setup, slices) {
+    const { entry, other } = setup;
+    const base = other && other.func;
+    const point = (x, func) =>
+        logicalToCanvas(x, func ? parser.evaluate(func, x) : 0);
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+    ctx.lineWidth = 1;
+    for (const slice of slices) {
+        // Rectangles take their height at the sample point; trapezoids
+        // join the curve values at the two edges
+        let corners;
+        if (slice.x === null) {
+            corners = [
+                point(slice.left, base),
+                point(slice.left, entry.func),
+                point(slice.right, entry.func),
+                point(slice.right, base),
+            ];
+        } else {
+            const [left] = logicalToCanvas(slice.left, 0);
+            const [right] = logicalToCanvas(slice.right, 0);
+            const [, top] = point(slice.x, entry.func);
+            const [, bottom] = point(slice.x, base);
+            corners = [
+                [left, bottom],
+                [left, top],
+                [right, top],
+                [right, bottom],
+            ];
+        }
+        if (corners.some(([px, py]) => !isFinite(px) || !isFinite(py))) {
+            continue;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(...corners[0]);
+        for (const corner of corners.slice(1)) ctx.lineTo(...corner);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+}
+
+// Dashed handles at the finite bounds; these can be dragged along the x-axis
+function drawIntegralBounds(setup) {
+    ctx.strokeStyle = "#fff";
+    ctx.fillStyle = "#fff";
+    ctx.lineWidth = 1;
+    ctx.font = "13px monospace";
+    ctx.setLineDash([3, 4]);
+
+    for (const bound of ["a", "b"]) {
+        if (!isFinite(setup[bound])) continue;
+        const [px] = logicalToCanvas(setup[bound], 0);
+        ctx.beginPath();
+        ctx.moveTo(px, 0);
+        ctx.lineTo(px, canvas.height);
+        ctx.stroke();
+        ctx.fillText(bound, px + 4, 14);
+    }
+
+    ctx.setLineDash([]);
+}
+
+// The bound handle within a few pixels of px, if any
+function boundAt(px) {
+    const setup = integralSetup();
+    if (!setup || setup.error) return null;
+
+    for (const bound of ["a", "b"]) {
+        if (
+            isFinite(setup[bound]) &&
+            Math.abs(logicalToCanvas(setup[bound], 0)[0] - px) <= 5
+        ) {
+            return bound;
+        }
+    }
+    return null;
+}
+
+// Moves a bound to the canvas column px, rounded to the pixel resolution
+function dragBound(bound, px) {
+    const [x] = canvasToLogical(px, 0);
+    const step = niceStep(1 / viewport.scaleX);
+    const snapped = parseFloat((Math.round(x / step) * step).toPrecision(12));
+    integralInputs[bound].value = String(snapped);
+}
+
+integralEnabled.addEventListener("change", () => render());
+integralInputs.a.addEventListener("input", () => render());
+integralInputs.b.addEventListener("input", () => render());
+integralTarget.addEventListener("change", () => render());
+riemannMethod.addEventListener("change", () => render());
+riemannSlices.addEventListener("input", () => render());
+
+// Table of x and the value of every plotted function, either following the
+// visible window or from a chosen start, step and number of rows
+const MAX_TABLE_ROWS = 1000;
+const tableEnabled = document.getElementById("tableEnabled");
+const tableBody = document.getElementById("tableBody");
+const tableAuto = document.getElementById("tableAuto");
+const tableInputs = {
+    start: document.getElementById("tableStart"),
+    step: document.getElementById("tableStep"),
+};
+const tableRows = document.getElementById("tableRows");
+const tableMessage = document.getElementById("tableMessage");
+const valueTable = document.getElementById("valueTable");
+
+// A table setting such as 0.5 or pi/4
+function parseTableNumber(name) {
+    const value = parseConstant(tableInputs[name].value, `The table's ${name}`);
+    if (!isFinite(value)) {
+        throw new Error(`The table's ${name} must be a finite number`);
+    }
+    return value;
+}
+
+// Where the table starts, its step and row count, or { error }
+function tableSetup() {
+    const rows = Math.min(
+        Math.max(Math.round(Number(tableRows.value)) || 1, 1),
+        MAX_TABLE_ROWS
+    );
+
+    if (tableAuto.checked) {
+        // A round step that fits the rows into the window, starting at its
+        // first multiple inside it
+        const { xMin, xMax } = visibleBounds();
+        const rawStep = (xMax - xMin) / Math.max(rows - 1, 1);
+        const step = piLabels.checked ? piStep(rawStep) : niceStep(rawStep);
+        const start = Math.ceil(xMin / step) * step;
+        const fit = Math.floor((xMax - start) / step + 1e-9) + 1;
+        return { start, step, rows: Math.min(rows, fit) };
+    }
+
+    try {
+        const start = parseTableNumber("start");
+        const step = parseTableNumber("step");
+        if (step <= 0) return { error: "The table's step must be positive" };
+        return { start, step, rows };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// A value as shown in the table, to more places than the hover readout
+function formatTableValue(value) {
+    return isFinite(value) ? formatNumber(value) : "undefined";
+}
+
+// The header and rows of the table as text, or null when it is off or
+// cannot be built
+function currentTable() {
+    if (!tableEnabled.checked) return null;
+
+    const setup = tableSetup();
+    const columns = visiblePlots();
+    const key = JSON.stringify([
+        setup,
+        columns.map((entry) => [entry.id, entry.text]),
+        sessionKey(),
+    ]);
+    if (tableCache.key === key) return tableCache.table;
+
+    let table = null;
+    if (setup.error) {
+        tableMessage.textContent = setup.error;
+    } else if (columns.length === 0) {
+        tableMessage.textContent = "Enter a function to tabulate";
+    } else {
+        const header = ["x", ...columns.map(expressionName)];
+        const rows = [];
+        for (let i = 0; i < setup.rows; i++) {
+            // Multiply rather than add up steps, so x does not drift
+            const x = setup.start + i * setup.step;
+            rows.push([
+                formatTableValue(x),
+                ...columns.map((entry) =>
+                    formatTableValue(parser.evaluate(entry.func, x))
+                ),
+            ]);
+        }
+        table = { header, rows, columns };
+        tableMessage.textContent = "";
+    }
+
+    tableCache = { key, table };
+    showTable(table, setup);
+    return table;
+}
+
+function showTable(table, setup) {
+    // In auto mode the inputs show the window's start and step
+    for (const input of Object.values(tableInputs)) {
+        input.disabled = tableAuto.checked;
+    }
+    if (tableAuto.checked && !setup.error) {
+        tableInputs.start.value = formatNumber(setup.start);
+        tableInputs.step.value = formatNumber(setup.step);
+    }
+
+    valueTable.textContent = "";
+    if (!table) return;
+
+    const head = valueTable.createTHead().insertRow();
+    table.header.forEach((name, i) => {
+        const cell = document.createElement("th");
+        cell.textContent = name;
+        if (i > 0) cell.title = table.columns[i - 1].text.trim();
+        head.appendChild(cell);
+    });
+
+    const body = valueTable.createTBody();
+    for (const values of table.rows) {
+        const row = body.insertRow();
+        for (const value of values) {
+            const cell = row.insertCell();
+            cell.textContent = value;
+            if (value === "undefined") cell.className = "undefined";
+        }
+    }
+}
+
+// The table as delimited text. CSV fields with quotes, commas or line
+// breaks are quoted; tab-separated text has none of those in its fields
+function tableText(table, separator) {
+    const field = (value) =>
+        separator === "," && /[",\n]/.test(value)
+            ? `"${value.replace(/"/g, '""')}"`
+            : value;
+    return [table.header, ...table.rows]
+        .map((values) => values.map(field).join(separator))
+        .join("\n");
+}
+
+function downloadFile(name, type, contents) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+    // Revoking at once can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+tableEnabled.addEventListener("change", () => {
+    tableBody.hidden = !tableEnabled.checked;
+    render();
+});
+tableAuto.addEventListener("change", () => render());
+tableInputs.start.addEventListener("input", () => render());
+tableInputs.step.addEventListener("input", () => render());
+tableRows.addEventListener("input", () => render());
+
+document.getElementById("tableCsvButton").addEventListener("click", () => {
+    const table = currentTable();
+    if (table) downloadFile("table.csv", "text/csv", tableText(table, ","));
+});
+
+document.getElementById("tableCopyButton").addEventListener("click", () => {
+    const table = currentTable();
+    if (!table) return;
+    const copied = `Copied ${table.rows.length} rows`;
+    if (!navigator.clipboard) {
+        tableMessage.textContent = "Copying is not available in this browser";
+        return;
+    }
+    navigator.clipboard.writeText(tableText(table, "\t")).then(
+        () => (tableMessage.textContent = copied),
+        () => (tableMessage.textContent = "The browser blocked copying")
+    );
+});
+
+// Export the graph as a PNG at a chosen width or as an SVG, both redrawn
+// from scratch rather than copied from the screen, with a legend
+const exportWidth = document.getElementById("exportWidth");
+
+// Run draw with the drawing functions aimed at another 2D context, without
+// the hover readout
+function drawTo(target, draw) {
+    const screen = ctx;
+    const hover = mouseCoord;
+    ctx = target;
+    mouseCoord = null;
+    try {
+        draw();
+    } finally {
+        ctx = screen;
+        mouseCoord = hover;
+    }
+}
+
+function legendLabel(entry) {
+    const name = expressionName(entry);
+    const text = entry.text.trim();
+    if (entry.mode === "parametric") {
+        return `${name}: x(t) = ${text}, y(t) = ${entry.yText.trim()}`;
+    }
+    if (entry.mode === "polar") return `${name}: r(θ) = ${text}`;
+    // Equations, inequalities and definitions carry their own sign
+    if (/[=<>≤≥]/.test(parser.maskBraces(text))) return `${name}: ${text}`;
+    return `${name} = ${text}`;
+}
+
+// A box in the top left corner naming every visible curve in its color
+function drawLegend() {
+    const entries = expressions.filter(
+        (entry) =>
+            entry.visible && (entry.func || entry.relation || entry.parametric)
+    );
+    if (entries.length === 0) return;
+
+    const lineHeight = 18;
+    const labels = entries.map(legendLabel);
+    ctx.font = "12px monospace";
+    const width = Math.max(
+        ...labels.map((label) => ctx.measureText(label).width)
+    );
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+    ctx.fillRect(8, 8, width + 44, entries.length * lineHeight + 8);
+    ctx.lineWidth = 2;
+    ctx.textAlign = "start";
+    ctx.textBaseline = "middle";
+    entries.forEach((entry, i) => {
+        const y = 12 + (i + 0.5) * lineHeight;
+        ctx.strokeStyle = entry.color;
+        ctx.beginPath();
+        ctx.moveTo(14, y);
+        ctx.lineTo(34, y);
+        ctx.stroke();
+        ctx.fillStyle = "#fff";
+        ctx.fillText(labels[i], 42, y);
+    });
+    ctx.textBaseline = "alphabetic";
+}
 
-        if (minY >= -0.1 && minY <= 0.1) {
-            if (maxY > 100) {
-                return "y ≥ 0";
-            } else {
-                return `0 ≤ y ≤ ${maxY.toFixed(2)}`;
-            }
-        }
+function exportPng() {
+    // Draw at the canvas's own layout, scaled up to the chosen width
+    const scale = Number(exportWidth.value) / canvas.width;
+    const image = document.createElement("canvas");
+    image.width = Math.round(canvas.width * scale);
+    image.height = Math.round(canvas.height * scale);
+    const imageContext = image.getContext("2d");
+    imageContext.scale(scale, scale);
 
-        if (maxY >= -0.1 && maxY <= 0.1) {
-            if (minY < -100) {
-                return "y ≤ 0";
-            } else {
-                return `${minY.toFixed(2)} ≤ y ≤ 0`;
-            }
-        }
+    drawTo(imageContext, () => {
+        render();
+        drawLegend();
+    });
+    image.toBlob((blob) => downloadFile("graph.png", "image/png", blob));
+}
 
-        // Check if range is too large to be meaningfully bounded
-        if (Math.abs(maxY - minY) > 100) {
-            return "All real numbers (ℝ)";
-        }
+function exportSvg() {
+    const svg = new SvgContext(canvas.width, canvas.height);
+    drawTo(svg, () => {
+        render();
+        drawLegend();
+    });
+    downloadFile("graph.svg", "image/svg+xml", svg.toString());
+}
 
-        // For well-behaved bounded functions
-        return `${minY.toFixed(2)} ≤ y ≤ ${maxY.toFixed(2)}`;
+document.getElementById("exportPngButton").addEventListener("click", exportPng);
+document.getElementById("exportSvgButton").addEventListener("click", exportSvg);
+
+// Shareable links keep the whole graph in the URL hash as "#v1=" followed
+// by base64url-encoded JSON. Every format version keeps its reader so old
+// links still open. A link is only ever read as data: each field is checked
+// and anything unexpected falls back to a default
+const LINK_VERSION = 1;
+const MAX_LINK_LENGTH = 100000;
+const MAX_LINK_EXPRESSIONS = 50;
+const MAX_LINK_TEXT = 500;
+const linkMessage = document.getElementById("linkMessage");
+let linkTimer = null;
+
+function graphState() {
+    const indexOf = (id) => expressions.findIndex((e) => String(e.id) === id);
+    const parameters = {};
+    for (const [name, control] of parameterControls) {
+        parameters[name] = {
+            value: parser.parameters[name],
+            ...control.limits,
+        };
     }
+
+    return {
+        expressions: expressions.map((entry) => ({
+            text: entry.text,
+            color: entry.color,
+            visible: entry.visible,
+            mode: entry.mode,
+            y: entry.yText,
+            range: entry.range,
+        })),
+        parameters,
+        viewport: { ...viewport },
+        analyzed: indexOf(String(analyzedExpressionId)),
+        piLabels: piLabels.checked,
+        derivatives: [
+            showFirstDerivative.checked,
+            showSecondDerivative.checked,
+        ],
+        integral: {
+            enabled: integralEnabled.checked,
+            a: integralInputs.a.value,
+            b: integralInputs.b.value,
+            target: indexOf(integralTarget.value),
+            method: riemannMethod.value,
+            slices: Number(riemannSlices.value),
+        },
+    };
 }
 
-const parser = new ExpressionParser();
-const analyzer = new FunctionAnalyzer(parser);
-const expressionInput = document.getElementById("expressionInput");
-const plotButton = document.getElementById("plotButton");
-const errorMessage = document.getElementById("errorMessage");
+function encodeLink(state) {
+    return `v${LINK_VERSION}=${toBase64Url(JSON.stringify(state))}`;
+}
 
-function showError(message) {
-    errorMessage.textContent = message;
-    errorMessage.style.display = "block";
-    // Hide analysis
-    document.getElementById("analysisContent").classList.remove("show");
-    document.getElementById("noAnalysis").style.display = "block";
+// The state a link describes; throws when it cannot be read at all
+function decodeLink(hash) {
+    const match = /^#v(\d+)=([A-Za-z0-9_-]*)$/.exec(hash);
+    if (!match || hash.length > MAX_LINK_LENGTH) {
+        throw new Error("the link is damaged");
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(match[2]));
+    } catch (error) {
+        throw new Error("the link is damaged");
+    }
+    return readState(match[1], data);
 }
 
-function hideError() {
-    errorMessage.style.display = "none";
+// A checked state from data written in the given format version, by a link,
+// a saved workspace or the undo history
+function readState(version, data) {
+    if (!Object.hasOwn(linkReaders, version)) {
+        throw new Error(
+            Number(version) > LINK_VERSION
+                ? `it was made by a newer version (v${version})`
+                : `its format (v${version}) is not recognized`
+        );
+    }
+    const reader = linkReaders[version];
+    if (!data || typeof data !== "object" || !Array.isArray(data.expressions)) {
+        throw new Error("it does not describe a graph");
+    }
+    return reader(data);
 }
 
-function showAnalysis(analysis, expression) {
-    let html = "";
+const linkReaders = {
+    1: readLinkV1,
+};
+
+function readLinkV1(data) {
+    const object = (value) =>
+        value && typeof value === "object" && !Array.isArray(value)
+            ? value
+            : {};
+    const text = (value, fallback) =>
+        typeof value === "string" ? value.slice(0, MAX_LINK_TEXT) : fallback;
+    const number = (value, fallback) =>
+        typeof value === "number" && isFinite(value) ? value : fallback;
+    const flag = (value, fallback) =>
+        typeof value === "boolean" ? value : fallback;
+    const index = (value) => (Number.isInteger(value) ? value : -1);
+    const scale = (value) => (number(value, 0) > 0 ? clampScale(value) : 20);
+
+    const expressions = data.expressions
+        .slice(0, MAX_LINK_EXPRESSIONS)
+        .map((saved, i) => {
+            saved = object(saved);
+            const range = object(saved.range);
+            return {
+                text: text(saved.text, ""),
+                color: /^#[0-9a-f]{6}$/i.test(saved.color)
+                    ? saved.color
+                    : palette[i % palette.length],
+                visible: flag(saved.visible, true),
+                mode: ["function", "parametric", "polar"].includes(saved.mode)
+                    ? saved.mode
+                    : "function",
+                y: text(saved.y, ""),
+                range: {
+                    min: text(range.min, "0"),
+                    max: text(range.max, "2*pi"),
+                    step: text(range.step, "0.01"),
+                },
+            };
+        });
+
+    // Parameters are single letters, which also keeps names such as
+    // __proto__ out of the parameter table
+    const parameters = {};
+    for (const [name, saved] of Object.entries(object(data.parameters))) {
+        if (!/^[a-z]$/.test(name)) continue;
+        const limits = object(saved);
+        let min = number(limits.min, -10);
+        let max = number(limits.max, 10);
+        let step = number(limits.step, 0.1);
+        if (!(min < max && step > 0)) [min, max, step] = [-10, 10, 0.1];
+        parameters[name] = { value: number(limits.value, 1), min, max, step };
+    }
 
-    if (analysis.isFunction) {
-        html += `<p><strong>Type:</strong> <span style="color: #4CAF50;">Function</span></p>`;
+    const view = object(data.viewport);
+    const integral = object(data.integral);
+    const derivatives = Array.isArray(data.derivatives) ? data.derivatives : [];
+    return {
+        expressions,
+        parameters,
+        viewport: {
+            centerX: number(view.centerX, 0),
+            centerY: number(view.centerY, 0),
+            scaleX: scale(view.scaleX),
+            scaleY: scale(view.scaleY),
+        },
+        analyzed: index(data.analyzed),
+        piLabels: flag(data.piLabels, false),
+        derivatives: [flag(derivatives[0], false), flag(derivatives[1], false)],
+        integral: {
+            enabled: flag(integral.enabled, false),
+            a: text(integral.a, "0"),
+            b: text(integral.b, "1"),
+            target: index(integral.target),
+            method: ["none", "left", "right", "midpoint", "trapezoid"].includes(
+                integral.method
+            )
+                ? integral.method
+                : "none",
+            slices: Math.min(
+                Math.max(Math.round(number(integral.slices, 10)), 1),
+                1000
+            ),
+        },
+    };
+}
 
-        // Domain and Range
-        if (analysis.domain) {
-            html += `<p><strong>Domain:</strong> ${analysis.domain}</p>`;
-        }
-        if (analysis.range) {
-            html += `<p><strong>Range:</strong> ${analysis.range}</p>`;
-        }
+// Replace the whole graph with a checked state
+function applyState(state) {
+    for (const entry of expressions) entry.elements.row.remove();
+    expressions = [];
+    for (const [name, saved] of Object.entries(state.parameters)) {
+        parser.parameters[name] = saved.value;
+    }
+    viewport = { ...state.viewport };
+    piLabels.checked = state.piLabels;
+    [showFirstDerivative.checked, showSecondDerivative.checked] =
+        state.derivatives;
+
+    for (const saved of state.expressions) {
+        const entry = addExpression(saved.text, saved.color);
+        const { visible, yInput, tMin, tMax, tStep } = entry.elements;
+        entry.mode = saved.mode;
+        entry.visible = saved.visible;
+        visible.checked = saved.visible;
+        yInput.value = saved.y;
+        tMin.value = saved.range.min;
+        tMax.value = saved.range.max;
+        tStep.value = saved.range.step;
+        showExpressionMode(entry);
+        updateExpression(entry);
+    }
+    if (expressions.length === 0) addExpression();
+
+    // Sliders exist once the expressions using them are parsed
+    for (const [name, control] of parameterControls) {
+        const saved = state.parameters[name];
+        if (!saved) continue;
+        control.elements.min.value = saved.min;
+        control.elements.step.value = saved.step;
+        control.elements.max.value = saved.max;
+        applyParameterLimits(control);
+        const { min, max } = control.limits;
+        setParameter(control, Math.min(Math.max(saved.value, min), max), false);
+    }
 
-        if (analysis.properties.length > 0) {
-            html += `<p><strong>Properties:</strong> ${analysis.properties.join(
-                ", "
-            )}</p>`;
-        }
+    const analyzed = expressions[state.analyzed];
+    if (analyzed) analyzedExpressionId = analyzed.id;
+    refreshExpressionLabels();
+
+    const { integral } = state;
+    integralEnabled.checked = integral.enabled;
+    integralInputs.a.value = integral.a;
+    integralInputs.b.value = integral.b;
+    riemannMethod.value = integral.method;
+    riemannSlices.value = integral.slices;
+    refreshIntegralTargets();
+    const target = expressions[integral.target];
+    integralTarget.value = target ? String(target.id) : "";
+
+    parametersChanged(true);
+}
 
-        // Additional details
-        html += "<p><strong>Details:</strong></p>";
-        html += "<ul>";
+// Open the graph in the page's link, if it has one. Returns whether the
+// page now has expressions
+function restoreLink() {
+    if (!/^#v\d+=/.test(location.hash)) return expressions.length > 0;
+    try {
+        applyState(decodeLink(location.hash));
+        linkMessage.textContent = "";
+    } catch (error) {
+        linkMessage.textContent = `This link could not be opened: ${error.message}`;
+    }
+    return expressions.length > 0;
+}
 
-        if (analysis.isEven) {
-            html += "<li>Symmetric about y-axis (f(-x) = f(x))</li>";
-        } else if (analysis.isOdd) {
-            html += "<li>Symmetric about origin (f(-x) = -f(x))</li>";
-        } else {
-            html += "<li>No symmetry about y-axis or origin</li>";
-        }
+// Once editing pauses, keep the hash in step with the graph, remember it
+// for the next visit and make it a step that can be undone
+function scheduleStateUpdate() {
+    clearTimeout(linkTimer);
+    linkTimer = setTimeout(updateState, 300);
+}
 
-        if (analysis.isOneToOne) {
-            html += "<li>Passes horizontal line test (injective)</li>";
-        } else {
-            html += "<li>Does not pass horizontal line test</li>";
-        }
+function updateState() {
+    clearTimeout(linkTimer);
+    const state = graphState();
+    const hash = `#${encodeLink(state)}`;
+    if (location.hash !== hash) history.replaceState(null, "", hash);
+    writeStorage("session", { v: LINK_VERSION, state });
+    recordUndo(JSON.stringify(state));
+}
 
-        html += "</ul>";
-    } else {
-        html += `<p><strong>Type:</strong> <span style="color: #FF9800;">Relation (not a function)</span></p>`;
-        html += "<p>Fails the vertical line test</p>";
+// Base64url of the UTF-8 bytes of text, in chunks small enough to spread
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary)
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
 
-    document.getElementById("analysisContent").innerHTML = html;
-    document.getElementById("analysisContent").classList.add("show");
-    document.getElementById("noAnalysis").style.display = "none";
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
 }
 
-function updateFunction() {
-    const expression = expressionInput.value.trim();
-    if (!expression) {
-        currentFunction = null;
-        hideError();
-        document.getElementById("analysisContent").classList.remove("show");
-        document.getElementById("noAnalysis").style.display = "block";
-        render();
+document.getElementById("copyLinkButton").addEventListener("click", () => {
+    updateState();
+    if (!navigator.clipboard) {
+        linkMessage.textContent =
+            "Copying is not available; copy the address bar";
         return;
     }
+    navigator.clipboard.writeText(location.href).then(
+        () => (linkMessage.textContent = "Link copied"),
+        () => (linkMessage.textContent = "The browser blocked copying")
+    );
+});
 
-    try {
-        currentFunction = parser.parse(expression);
-        currentExpression = expression;
-        hideError();
-
-        // Analyze the function
-        const analysis = analyzer.analyzeFunction(currentFunction, expression);
-        showAnalysis(analysis, expression);
+window.addEventListener("hashchange", () => {
+    if (/^#v\d+=/.test(location.hash)) restoreLink();
+});
 
-        render();
+// Workspaces, the expression history and the last session live in
+// localStorage. Storage may be full, switched off or hold anything at all,
+// so reading it never throws and every saved graph is checked like a link
+const STORAGE_PREFIX = "graphPlotter.";
+const MAX_HISTORY = 20;
+const MAX_UNDO = 100;
+const workspaceSelect = document.getElementById("workspaceSelect");
+const workspaceName = document.getElementById("workspaceName");
+const workspaceMessage = document.getElementById("workspaceMessage");
+const workspaceFile = document.getElementById("workspaceFile");
+const expressionHistory = document.getElementById("expressionHistory");
+let undoStack = [];
+let redoStack = [];
+
+function readStorage(name, fallback) {
+    try {
+        const text = localStorage.getItem(STORAGE_PREFIX + name);
+        return text === null ? fallback : JSON.parse(text);
     } catch (error) {
-        showError(error.message);
-        currentFunction = null;
-        render();
+        return fallback;
     }
 }
 
-// Event listeners
-expressionInput.addEventListener("input", updateFunction);
-plotButton.addEventListener("click", updateFunction);
-expressionInput.addEventListener("keypress", (event) => {
-    if (event.key === "Enter") {
-        updateFunction();
+function writeStorage(name, value) {
+    try {
+        localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        return false;
     }
-});
+}
 
-// Initialize with a default function
-expressionInput.value = "x";
-updateFunction();
+// Saved workspaces by name, dropping any that are not { v, state } objects
+function readWorkspaces(data = readStorage("workspaces", {})) {
+    const workspaces = {};
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return workspaces;
+    }
+    for (const [name, saved] of Object.entries(data)) {
+        if (
+            name.trim() &&
+            name.length <= 100 &&
+            saved &&
+            typeof saved === "object" &&
+            Number.isInteger(saved.v) &&
+            saved.state &&
+            typeof saved.state === "object"
+        ) {
+            workspaces[name] = { v: saved.v, state: saved.state };
+        }
+    }
+    return workspaces;
+}
 
-// Zoom handler
-canvas.addEventListener("wheel", (event) => {
-    event.preventDefault();
-    if (event.deltaY < 0) {
-        gridSize = Math.min(gridSize + gridSize / 10, 100);
+function writeWorkspaces(workspaces, done, selected = workspaceSelect.value) {
+    if (writeStorage("workspaces", workspaces)) {
+        workspaceMessage.textContent = done;
     } else {
-        gridSize = Math.max(gridSize - gridSize / 10, 1);
-    }
-    gridDimensions = Math.floor(canvas.width / gridSize) + 2;
-    if (gridDimensions % 2 !== 0) {
-        gridDimensions += 1;
+        workspaceMessage.textContent =
+            "The browser's storage is full or switched off";
     }
-    render();
-});
+    refreshWorkspaces(selected);
+}
 
-function drawLine(startX, startY, endX, endY, color) {
-    ctx.strokeStyle = color;
-    ctx.beginPath();
-    ctx.moveTo(startX, startY);
-    ctx.lineTo(endX, endY);
-    ctx.closePath();
-    ctx.stroke();
+function refreshWorkspaces(selected = workspaceSelect.value) {
+    const names = Object.keys(readWorkspaces()).sort((a, b) =>
+        a.localeCompare(b)
+    );
+    workspaceSelect.textContent = "";
+    if (names.length === 0) {
+        workspaceSelect.appendChild(new Option("No saved workspaces", ""));
+    }
+    for (const name of names) {
+        workspaceSelect.appendChild(
+            new Option(name, name, false, name === selected)
+        );
+    }
 }
 
-function logicalToCanvas(x, y) {
-    return [canvas.width / 2 + x * gridSize, canvas.height / 2 - y * gridSize];
+// Replace the graph with a saved one, reporting rather than throwing when
+// it cannot be read
+function openSaved(saved, what) {
+    try {
+        applyState(readState(saved.v, saved.state));
+        return true;
+    } catch (error) {
+        workspaceMessage.textContent = `${what} could not be opened: ${error.message}`;
+        return false;
+    }
 }
 
-canvas.addEventListener("mousemove", (event) => {
-    const rect = canvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-    // Convert to logical coordinates
-    const logicalX = ((mouseX - canvas.width / 2) / gridSize).toFixed(2);
-    const logicalY = ((canvas.height / 2 - mouseY) / gridSize).toFixed(2);
-    mouseCoord = { x: logicalX, y: logicalY, px: mouseX, py: mouseY };
-    render();
+document.getElementById("workspaceSaveButton").addEventListener("click", () => {
+    const name = workspaceName.value.trim() || workspaceSelect.value;
+    if (!name) {
+        workspaceMessage.textContent = "Type a name for the workspace";
+        return;
+    }
+    const workspaces = readWorkspaces();
+    workspaces[name] = { v: LINK_VERSION, state: graphState() };
+    writeWorkspaces(workspaces, `Saved "${name}"`, name);
+    workspaceName.value = "";
 });
 
-canvas.addEventListener("mouseleave", () => {
-    mouseCoord = null;
-    render();
+document.getElementById("workspaceOpenButton").addEventListener("click", () => {
+    const name = workspaceSelect.value;
+    const saved = readWorkspaces()[name];
+    if (saved && openSaved(saved, `"${name}"`)) {
+        workspaceMessage.textContent = `Opened "${name}"`;
+    }
 });
 
-function drawAsymptotes() {
-    if (!currentFunction) return;
-
-    const asymptotes = [];
-
-    // Get the current visible x range based on zoom level
-    const xMin = -canvas.width / (2 * gridSize);
-    const xMax = canvas.width / (2 * gridSize);
-    const xRange = xMax - xMin;
-
-    // Adaptive step size based on zoom level
-    const step = xRange / 2000; // More points when zoomed in
-
-    // Adaptive threshold based on current scale
-    const yThreshold = canvas.height / (4 * gridSize); // Scale with zoom
-
-    // Scan for vertical asymptotes
-    for (let x = xMin; x <= xMax; x += step) {
-        const y = parser.evaluate(currentFunction, x);
-        const yLeft = parser.evaluate(currentFunction, x - step);
-        const yRight = parser.evaluate(currentFunction, x + step);
-
-        // Method 1: Check for infinite or NaN values with finite neighbors
-        if (!isFinite(y)) {
-            if (isFinite(yLeft) && isFinite(yRight)) {
-                asymptotes.push(x);
-                continue;
-            }
+document
+    .getElementById("workspaceRenameButton")
+    .addEventListener("click", () => {
+        const from = workspaceSelect.value;
+        const to = workspaceName.value.trim();
+        const workspaces = readWorkspaces();
+        if (!workspaces[from]) return;
+        if (!to) {
+            workspaceMessage.textContent = "Type the new name first";
+            return;
+        }
+        if (to !== from && workspaces[to]) {
+            workspaceMessage.textContent = `"${to}" already exists`;
+            return;
+        }
+        workspaces[to] = workspaces[from];
+        if (to !== from) delete workspaces[from];
+        writeWorkspaces(workspaces, `Renamed "${from}" to "${to}"`, to);
+        workspaceName.value = "";
+    });
+
+document
+    .getElementById("workspaceDeleteButton")
+    .addEventListener("click", () => {
+        const name = workspaceSelect.value;
+        const workspaces = readWorkspaces();
+        if (!workspaces[name] || !confirm(`Delete the workspace "${name}"?`)) {
+            return;
+        }
+        delete workspaces[name];
+        writeWorkspaces(workspaces, `Deleted "${name}"`);
+    });
+
+document
+    .getElementById("workspaceExportButton")
+    .addEventListener("click", () => {
+        const file = {
+            format: "graph-workspaces",
+            workspaces: readWorkspaces(),
+        };
+        downloadFile(
+            "workspaces.json",
+            "application/json",
+            JSON.stringify(file, null, 2)
+        );
+    });
+
+document
+    .getElementById("workspaceImportButton")
+    .addEventListener("click", () => workspaceFile.click());
+
+// Imported workspaces join the saved ones; a clashing name gets a number
+workspaceFile.addEventListener("change", () => {
+    const [file] = workspaceFile.files;
+    workspaceFile.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+        const imported = readWorkspaces(data && data.workspaces);
+        const names = Object.keys(imported);
+        if (!data || data.format !== "graph-workspaces" || names.length === 0) {
+            workspaceMessage.textContent = `${file.name} holds no workspaces`;
+            return;
         }
 
-        // Method 2: Check for sign changes in large values
-        if (isFinite(yLeft) && isFinite(yRight) && isFinite(y)) {
-            if (Math.abs(yLeft) > yThreshold && Math.abs(yRight) > yThreshold) {
-                if (Math.sign(yLeft) !== Math.sign(yRight)) {
-                    asymptotes.push(x);
-                    continue;
-                }
-            }
+        const workspaces = readWorkspaces();
+        for (const name of names) {
+            let unique = name;
+            for (let n = 2; workspaces[unique]; n++) unique = `${name} (${n})`;
+            workspaces[unique] = imported[name];
         }
+        const plural = names.length === 1 ? "workspace" : "workspaces";
+        writeWorkspaces(workspaces, `Imported ${names.length} ${plural}`);
+    });
+});
 
-        // Method 3: Check for very large slope changes (derivative spikes)
-        if (isFinite(yLeft) && isFinite(yRight)) {
-            const slope1 = Math.abs(y - yLeft) / step;
-            const slope2 = Math.abs(yRight - y) / step;
-            const maxSlope = Math.max(slope1, slope2);
+// Recently entered expressions, offered by every row's input
+function readHistory() {
+    const history = readStorage("history", []);
+    return Array.isArray(history)
+        ? history
+              .filter((text) => typeof text === "string" && text.trim())
+              .slice(0, MAX_HISTORY)
+        : [];
+}
 
-            if (maxSlope > yThreshold / step) {
-                // Check if values go to opposite infinities
-                if (
-                    (yLeft > yThreshold && yRight < -yThreshold) ||
-                    (yLeft < -yThreshold && yRight > yThreshold)
-                ) {
-                    asymptotes.push(x);
-                }
-            }
-        }
+function refreshHistory() {
+    expressionHistory.textContent = "";
+    for (const text of readHistory()) {
+        expressionHistory.appendChild(new Option(text));
     }
+}
 
-    // Remove duplicate asymptotes that are too close together
-    const cleanedAsymptotes = [];
-    const minDistance = step * 10;
+function rememberExpression(entry) {
+    const text = entry.text.trim();
+    if (!text || entry.error || entry.mode !== "function") return;
+    const history = [text, ...readHistory().filter((t) => t !== text)];
+    writeStorage("history", history.slice(0, MAX_HISTORY));
+    refreshHistory();
+}
 
-    for (const asym of asymptotes) {
-        if (
-            !cleanedAsymptotes.some(
-                (existing) => Math.abs(existing - asym) < minDistance
-            )
-        ) {
-            cleanedAsymptotes.push(asym);
-        }
-    }
+// Undo steps are whole graph states as JSON; the last one is the graph as
+// it is now
+function recordUndo(json) {
+    if (undoStack.at(-1) === json) return;
+    undoStack.push(json);
+    if (undoStack.length > MAX_UNDO) undoStack.shift();
+    redoStack = [];
+}
 
-    // Draw asymptote lines
-    ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
-    ctx.lineWidth = 1;
-    ctx.setLineDash([5, 5]);
+function undo() {
+    updateState();
+    if (undoStack.length < 2) return;
+    redoStack.push(undoStack.pop());
+    applyState(readState(LINK_VERSION, JSON.parse(undoStack.at(-1))));
+}
 
-    for (const asymptoteX of cleanedAsymptotes) {
-        const px = canvas.width / 2 + asymptoteX * gridSize;
-        if (px >= 0 && px <= canvas.width) {
-            ctx.beginPath();
-            ctx.moveTo(px, 0);
-            ctx.lineTo(px, canvas.height);
-            ctx.stroke();
-        }
-    }
+function redo() {
+    updateState();
+    if (redoStack.length === 0) return;
+    const json = redoStack.pop();
+    undoStack.push(json);
+    applyState(readState(LINK_VERSION, JSON.parse(json)));
+}
 
-    ctx.setLineDash([]); // Reset line dash
+document.getElementById("undoButton").addEventListener("click", undo);
+document.getElementById("redoButton").addEventListener("click", redo);
+
+// Whether a field keeps its own text undo. Only the expression inputs hand
+// theirs over to the graph's history
+function ownsUndo(element) {
+    const tracked = expressions.some(
+        (entry) =>
+            element === entry.elements.input ||
+            element === entry.elements.yInput
+    );
+    if (tracked) return false;
+    return (
+        element.isContentEditable ||
+        element.tagName === "TEXTAREA" ||
+        (element.tagName === "INPUT" &&
+            /^(text|number|search)$/.test(element.type))
+    );
 }
 
+document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (ownsUndo(event.target)) return;
+    const key = event.key.toLowerCase();
+    if (key === "z" || key === "y") {
+        // Typing is undone in graph steps rather than by the text field
+        event.preventDefault();
+        if (key === "y" || event.shiftKey) redo();
+        else undo();
+    }
+});
+
 function render() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw grid
-    for (let row = 0; row < gridDimensions; row++) {
-        for (let col = 0; col < gridDimensions; col++) {
-            ctx.fillStyle = "black";
-            let logicalX = col - gridDimensions / 2;
-            let logicalY = row - gridDimensions / 2;
-            let [canvasX, canvasY] = logicalToCanvas(logicalX, logicalY + 1);
-            ctx.fillRect(canvasX, canvasY, gridSize - 1, gridSize - 1);
-        }
+    // Polar curves are read off circles and spokes instead of grid cells
+    if (expressions.some((entry) => entry.visible && entry.mode === "polar")) {
+        drawPolarGrid();
+    } else {
+        drawGrid();
     }
 
-    // Draw axes
-    drawLine(canvas.width / 2, 0, canvas.width / 2, canvas.height, "white");
-    drawLine(0, canvas.height / 2, canvas.width, canvas.height / 2, "white");
-
-    // Draw the function if we have one
-    if (currentFunction) {
-        ctx.strokeStyle = "#ff4444";
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+    // Shade inequalities underneath everything else, fainter when their
+    // overlap is shaded again as the feasible region
+    const inequalities = visibleInequalities();
+    const feasible = inequalities.length > 1;
+    for (const entry of inequalities) {
+        drawRegion(currentRegion(entry), entry.color, feasible ? 0.1 : 0.2);
+    }
+    if (feasible) {
+        drawRegion(currentFeasibleRegion(inequalities), FEASIBLE_COLOR, 0.2);
+    }
 
-        let pathStarted = false;
-        let prevY = null;
-        let prevX = null;
+    const keyPoints = currentKeyPoints();
+    const integral = currentIntegral();
+    currentTable();
+    currentRelationAnalysis();
+    scheduleStateUpdate();
+    if (integral) {
+        drawIntegralShading(integral.setup);
+        if (integral.result.riemann) {
+            drawRiemannSlices(integral.setup, integral.result.riemann.slices);
+        }
+    }
 
-        // Adaptive step size based on zoom level - more points when zoomed in
-        const xRange = canvas.width / gridSize;
-        const step = Math.max(0.1, xRange / 2000); // Minimum 0.1, but smaller when zoomed in
+    // Draw derivatives of the analyzed function underneath the curves, only
+    // where the function itself is defined: ln(x) has no slope for x < 0
+    // even though 1/x does
+    const analyzed = expressions.find((e) => e.id === analyzedExpressionId);
+    const within = analyzed && analyzed.func;
+    if (showSecondDerivative.checked && currentDerivatives.second) {
+        drawCurve(
+            currentDerivatives.second,
+            curveColors.secondDerivative,
+            within
+        );
+    }
+    if (showFirstDerivative.checked && currentDerivatives.first) {
+        drawCurve(
+            currentDerivatives.first,
+            curveColors.firstDerivative,
+            within
+        );
+    }
 
-        for (let px = 0; px <= canvas.width; px += step) {
-            const x = (px - canvas.width / 2) / gridSize;
-            const y = parser.evaluate(currentFunction, x);
+    // Draw every visible function with its asymptotes, the endpoints of
+    // its pieces and its holes
+    for (const entry of visiblePlots()) {
+        drawCurve(entry.func, entry.color);
+        drawAsymptotes(entry.func, entry.color);
+        drawEndpoints(entry.func, entry.color);
+        drawHoles(entry.func, entry.color);
+    }
+    for (const entry of visibleRelations()) {
+        drawRelation(entry);
+    }
+    for (const entry of visibleParametrics()) {
+        drawParametric(entry);
+        if (entry.trace) drawTracePoint(entry);
+    }
 
-            if (isNaN(y) || !isFinite(y)) {
-                pathStarted = false;
-                continue;
-            }
+    if (integral) drawIntegralBounds(integral.setup);
+    drawKeyPoints(keyPoints);
 
-            const py = canvas.height / 2 - y * gridSize;
+    // Draw mouse hover coordinate, snapped to the nearest curve
+    if (mouseCoord) {
+        const [logicalX] = canvasToLogical(mouseCoord.px, mouseCoord.py);
+        let nearest = null;
 
-            // Dynamic off-screen limits based on zoom level
-            const offScreenLimit = canvas.height * 10;
-            if (py < -offScreenLimit || py > canvas.height + offScreenLimit) {
-                pathStarted = false;
-                continue;
-            }
+        for (const entry of visiblePlots()) {
+            const y = parser.evaluate(entry.func, logicalX);
+            if (isNaN(y) || !isFinite(y)) continue;
 
-            // Improved discontinuity detection for asymptotes
-            if (pathStarted && prevY !== null && prevX !== null) {
-                const deltaY = Math.abs(py - prevY);
-                const deltaX = Math.abs(x - prevX);
+            const [curveX, curveY] = logicalToCanvas(logicalX, y);
+            const distance = Math.abs(mouseCoord.py - curveY);
 
-                // Scale thresholds with zoom level
-                const jumpThreshold =
-                    canvas.height / (2 * Math.sqrt(gridSize / 20));
-                const smallXThreshold = 1 / gridSize; // Smaller when zoomed out
+            // Only consider curves near the mouse
+            if (distance < 10 && (!nearest || distance < nearest.distance)) {
+                nearest = { entry, x: logicalX, y, curveX, curveY, distance };
+            }
+        }
 
-                // If there's a huge jump in y for a small change in x, it's likely an asymptote
-                if (deltaY > jumpThreshold && deltaX < smallXThreshold) {
-                    pathStarted = false;
-                }
-                // Also check for sign changes in y values (crossing asymptotes)
-                else if (
-                    deltaY > canvas.height / 2 &&
-                    Math.sign(py) !== Math.sign(prevY)
+        // Relations can have several points above one x, so snap to the
+        // nearest traced point instead
+        for (const entry of visibleRelations()) {
+            for (const [x, y] of currentContour(entry)) {
+                const [curveX, curveY] = logicalToCanvas(x, y);
+                const distance = Math.hypot(
+                    mouseCoord.px - curveX,
+                    mouseCoord.py - curveY
+                );
+                if (
+                    distance < 10 &&
+                    (!nearest || distance < nearest.distance)
                 ) {
-                    pathStarted = false;
+                    nearest = { entry, x, y, curveX, curveY, distance };
                 }
             }
+        }
 
-            if (!pathStarted) {
-                ctx.moveTo(px, py);
-                pathStarted = true;
-            } else {
-                ctx.lineTo(px, py);
+        // Parametric and polar curves show t, or r and θ, of the nearest
+        // sample as well
+        const column = Math.floor(mouseCoord.px / HOVER_CELL);
+        const row = Math.floor(mouseCoord.py / HOVER_CELL);
+        for (const entry of visibleParametrics()) {
+            const grid = parametricCells(entry);
+            for (let i = column - 1; i <= column + 1; i++) {
+                for (let j = row - 1; j <= row + 1; j++) {
+                    for (const point of grid.get(`${i},${j}`) || []) {
+                        const { t, r, x, y, px, py } = point;
+                        const distance = Math.hypot(
+                            mouseCoord.px - px,
+                            mouseCoord.py - py
+                        );
+                        if (
+                            distance < HOVER_CELL &&
+                            (!nearest || distance < nearest.distance)
+                        ) {
+                            nearest = {
+                                entry,
+                                t,
+                                r,
+                                x,
+                                y,
+                                curveX: px,
+                                curveY: py,
+                                distance,
+                            };
+                        }
+                    }
+                }
             }
-
-            prevY = py;
-            prevX = x;
         }
 
-        ctx.stroke();
-
-        // Draw vertical asymptotes
-        drawAsymptotes();
-    }
-
-    // Draw mouse hover coordinate
-    if (mouseCoord && currentFunction) {
-        const logicalX = (mouseCoord.px - canvas.width / 2) / gridSize;
-        const y = parser.evaluate(currentFunction, logicalX);
-
-        if (!isNaN(y) && isFinite(y)) {
-            const [curveX, curveY] = logicalToCanvas(logicalX, y);
-
-            // Only show if mouse is near the curve
-            if (Math.abs(mouseCoord.py - curveY) < 10) {
-                ctx.beginPath();
-                ctx.arc(curveX, curveY, 4, 0, 2 * Math.PI);
-                ctx.fillStyle = "#ffff00";
-                ctx.fill();
-
-                ctx.font = "14px monospace";
-                ctx.fillStyle = "#fff";
-                ctx.fillText(
-                    `(${logicalX.toFixed(2)}, ${y.toFixed(2)})`,
-                    curveX + 10,
-                    curveY - 10
-                );
+        if (nearest) {
+            const { entry, t, r, x, y, curveX, curveY } = nearest;
+            ctx.beginPath();
+            ctx.arc(curveX, curveY, 4, 0, 2 * Math.PI);
+            ctx.fillStyle = entry.color;
+            ctx.fill();
+
+            ctx.font = "14px monospace";
+            ctx.fillStyle = "#fff";
+            let label = `(${x.toFixed(2)}, ${y.toFixed(2)})`;
+            if (r !== undefined) {
+                label = `(r, θ) = (${r.toFixed(2)}, ${formatAngle(
+                    t
+                )}) ${label}`;
+            } else if (t !== undefined) {
+                label = `t = ${t.toFixed(2)}, ${label}`;
             }
+            ctx.fillText(
+                `${expressionName(entry)}: ${label}`,
+                curveX + 10,
+                curveY - 10
+            );
         }
     }
 }
 
-render();
+// Initialize from the page's link, the last session or with a default
+// function
+refreshWorkspaces();
+refreshHistory();
+if (!restoreLink()) {
+    const session = readStorage("session", null);
+    if (!session || !openSaved(session, "The last session")) {
+        addExpression("x");
+    }
+}
+updateAnalysis();
+updateState();